@@ -0,0 +1,82 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Authentication and token settings
+const authConfig = {
+  accessTokenExpiresIn: process.env.JWT_EXPIRES_IN || '7d',
+  refreshTokenExpiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '30d',
+  twoFactorChallengeExpiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || '5m',
+  twoFactorIssuer: process.env.TWO_FACTOR_ISSUER || 'RX Lifestyle Admin',
+  // Codes that can be tried against one 2FA challenge before logging in again
+  twoFactorChallengeMaxAttempts: parseInt(process.env.TWO_FACTOR_CHALLENGE_MAX_ATTEMPTS) || 5,
+  // Key for encrypting TOTP secrets at rest (changing it disables existing enrolments)
+  twoFactorEncryptionKey: process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET,
+  passwordResetTokenTtlMs: (parseInt(process.env.PASSWORD_RESET_TOKEN_TTL_MINUTES) || 60) * 60 * 1000,
+  emailVerificationTokenTtlMs: (parseInt(process.env.EMAIL_VERIFICATION_TOKEN_TTL_HOURS) || 48) * 60 * 60 * 1000,
+  paymentResubmitTokenTtlMs: (parseInt(process.env.PAYMENT_RESUBMIT_TOKEN_TTL_HOURS) || 72) * 60 * 60 * 1000,
+  registrationStatusTokenTtlMs: (parseInt(process.env.REGISTRATION_STATUS_TOKEN_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000,
+  loginCodeTtlMs: (parseInt(process.env.LOGIN_CODE_TTL_MINUTES) || 10) * 60 * 1000,
+  loginCodeMaxAttempts: parseInt(process.env.LOGIN_CODE_MAX_ATTEMPTS) || 5,
+  emailChangeTokenTtlMs: (parseInt(process.env.EMAIL_CHANGE_TOKEN_TTL_HOURS) || 24) * 60 * 60 * 1000,
+  // 'none' - unverified users have full access
+  // 'content' - unverified users can log in but cannot access content
+  // 'login' - unverified users cannot log in (and cannot access content)
+  emailVerificationRequired: ['none', 'content', 'login'].includes(process.env.EMAIL_VERIFICATION_REQUIRED)
+    ? process.env.EMAIL_VERIFICATION_REQUIRED
+    : 'none',
+  // Password policy applied to every new password (registration, admin-created
+  // users, change and reset). The defaults (8+ characters with upper and lower
+  // case letters and a number) are stricter than the old 6-character minimum;
+  // see CHANGELOG.md for how to keep the old rule. Existing passwords keep
+  // working until they are changed.
+  passwordPolicy: {
+    minLength: parseInt(process.env.PASSWORD_MIN_LENGTH) || 8,
+    requireLowercase: process.env.PASSWORD_REQUIRE_LOWERCASE !== 'false',
+    requireUppercase: process.env.PASSWORD_REQUIRE_UPPERCASE !== 'false',
+    requireNumber: process.env.PASSWORD_REQUIRE_NUMBER !== 'false',
+    requireSymbol: process.env.PASSWORD_REQUIRE_SYMBOL === 'true',
+    blockCommonPasswords: process.env.PASSWORD_BLOCK_COMMON !== 'false',
+    // Number of most recent passwords (including the current one) that can't be reused
+    historySize: parseInt(process.env.PASSWORD_HISTORY_SIZE ?? 5),
+    // Admins must change their password after this many days (0 = never)
+    adminMaxAgeDays: parseInt(process.env.ADMIN_PASSWORD_MAX_AGE_DAYS ?? 0)
+  },
+  // Failed-login lockout: each lock doubles in length up to the maximum
+  lockout: {
+    maxAttempts: parseInt(process.env.LOCKOUT_MAX_ATTEMPTS) || 5,
+    baseDurationMs: (parseInt(process.env.LOCKOUT_BASE_MINUTES) || 15) * 60 * 1000,
+    maxDurationMs: (parseInt(process.env.LOCKOUT_MAX_MINUTES) || 24 * 60) * 60 * 1000
+  },
+  // Maximum concurrent sessions per subscription tier (0 = unlimited).
+  // Admin panel sessions do not count towards the limit.
+  sessionLimits: {
+    free: parseInt(process.env.SESSION_LIMIT_FREE ?? 3),
+    premium: parseInt(process.env.SESSION_LIMIT_PREMIUM ?? 2),
+    enterprise: parseInt(process.env.SESSION_LIMIT_ENTERPRISE ?? 5)
+  },
+  // 'evict_oldest' - sign out the least recently used session to make room
+  // 'reject' - refuse the new login until another session is signed out
+  sessionLimitStrategy: process.env.SESSION_LIMIT_STRATEGY === 'reject' ? 'reject' : 'evict_oldest',
+  // Mobile number verification by SMS code
+  mobileVerification: {
+    // Country code assumed for numbers entered without one (unset = require it)
+    defaultCountryCode: (process.env.PHONE_DEFAULT_COUNTRY_CODE || '').replace(/\D/g, ''),
+    // 'verified' - a number can only be verified on one account at a time
+    // 'strict' - a number can only be stored on one account at all
+    // 'none' - numbers may be shared freely
+    uniqueness: ['verified', 'strict', 'none'].includes(process.env.MOBILE_NUMBER_UNIQUENESS)
+      ? process.env.MOBILE_NUMBER_UNIQUENESS
+      : 'verified',
+    codeTtlMs: (parseInt(process.env.MOBILE_CODE_TTL_MINUTES) || 10) * 60 * 1000,
+    codeMaxAttempts: parseInt(process.env.MOBILE_CODE_MAX_ATTEMPTS) || 5,
+    resendIntervalMs: (parseInt(process.env.MOBILE_CODE_RESEND_SECONDS) || 60) * 1000
+  },
+  // Self-service account deletion: how long users can change their mind, and
+  // whether the account is then removed outright or anonymized
+  accountDeletionGraceMs: (parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 14) * 24 * 60 * 60 * 1000,
+  accountDeletionMode: process.env.ACCOUNT_DELETION_MODE === 'delete' ? 'delete' : 'anonymize',
+  accountDeletionJobIntervalMs: (parseInt(process.env.ACCOUNT_DELETION_JOB_INTERVAL_MINUTES) || 60) * 60 * 1000
+};
+
+export default authConfig;
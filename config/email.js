@@ -0,0 +1,33 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Transactional email settings
+const emailConfig = {
+  // 'smtp' - send through EMAIL_HOST
+  // 'file' - append each message as a JSON line to EMAIL_FILE_PATH (development)
+  // 'memory' - keep messages in memory for tests
+  // 'console' - log the recipient and subject only (nothing is delivered)
+  // Defaults to SMTP when EMAIL_HOST is set, otherwise the console outside
+  // production. Production has no fallback: without EMAIL_HOST or
+  // EMAIL_TRANSPORT, messages stay in the outbox until one is configured.
+  transport: process.env.EMAIL_TRANSPORT || (process.env.EMAIL_HOST
+    ? 'smtp'
+    : (process.env.NODE_ENV === 'production' ? undefined : 'console')),
+  from: process.env.EMAIL_FROM || process.env.EMAIL_USER || 'RX Lifestyle <no-reply@localhost>',
+  smtp: {
+    host: process.env.EMAIL_HOST,
+    port: parseInt(process.env.EMAIL_PORT) || 587,
+    user: process.env.EMAIL_USER,
+    pass: process.env.EMAIL_PASS
+  },
+  filePath: process.env.EMAIL_FILE_PATH || 'tmp/mail-outbox.jsonl',
+  // Outbox retries back off exponentially from the base delay
+  maxAttempts: parseInt(process.env.EMAIL_MAX_ATTEMPTS) || 5,
+  retryBaseDelayMs: (parseInt(process.env.EMAIL_RETRY_BASE_DELAY_SECONDS) || 60) * 1000,
+  // Messages stuck in 'sending' this long (e.g. after a crash) are retried
+  sendingTimeoutMs: (parseInt(process.env.EMAIL_SENDING_TIMEOUT_MINUTES) || 10) * 60 * 1000,
+  outboxJobIntervalMs: (parseInt(process.env.EMAIL_OUTBOX_JOB_INTERVAL_SECONDS) || 60) * 1000
+};
+
+export default emailConfig;
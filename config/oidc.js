@@ -0,0 +1,45 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// OpenID Connect login providers.
+// OIDC_PROVIDERS lists the provider ids (e.g. "google,facebook"); each one is
+// configured with OIDC_<ID>_ISSUER, OIDC_<ID>_CLIENT_ID, OIDC_<ID>_CLIENT_SECRET
+// and optionally OIDC_<ID>_NAME and OIDC_<ID>_SCOPES.
+const providerIds = (process.env.OIDC_PROVIDERS || '')
+  .split(',')
+  .map(id => id.trim().toLowerCase())
+  .filter(Boolean);
+
+const providers = {};
+for (const id of providerIds) {
+  const prefix = `OIDC_${id.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_`;
+  const issuer = process.env[`${prefix}ISSUER`];
+  const clientId = process.env[`${prefix}CLIENT_ID`];
+
+  if (!issuer || !clientId) {
+    console.warn(`⚠️  OIDC provider "${id}" is missing ${prefix}ISSUER or ${prefix}CLIENT_ID and was skipped`);
+    continue;
+  }
+
+  providers[id] = {
+    id,
+    name: process.env[`${prefix}NAME`] || id.charAt(0).toUpperCase() + id.slice(1),
+    issuer: issuer.replace(/\/$/, ''),
+    clientId,
+    clientSecret: process.env[`${prefix}CLIENT_SECRET`],
+    scopes: process.env[`${prefix}SCOPES`] || 'openid email profile'
+  };
+}
+
+const oidcConfig = {
+  providers,
+  // Public base URL of this API, used to build the callback URL registered with providers
+  callbackBaseUrl: (process.env.OIDC_CALLBACK_BASE_URL || process.env.RENDER_EXTERNAL_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/$/, ''),
+  // How long a user has to finish signing in at the provider
+  stateTtlMs: 10 * 60 * 1000,
+  // How long the frontend has to exchange the one-time login code for tokens
+  loginCodeTtlMs: 2 * 60 * 1000
+};
+
+export default oidcConfig;
@@ -0,0 +1,22 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Manual payment proof review settings
+const paymentsConfig = {
+  // Proofs whose perceptual hashes differ by at most this many bits (out of 64)
+  // are flagged as similar. Receipts from the same payment app share a layout,
+  // so this is kept tight and matches are only a hint for reviewers.
+  similarProofMaxDistance: parseInt(process.env.PAYMENT_PROOF_SIMILARITY_BITS ?? 3),
+  // Similar proofs are looked for among this many of the most recent
+  // submissions from the last similarProofWindowDays
+  similarProofWindowDays: parseInt(process.env.PAYMENT_PROOF_SIMILARITY_WINDOW_DAYS) || 90,
+  similarProofScanLimit: parseInt(process.env.PAYMENT_PROOF_SIMILARITY_SCAN_LIMIT) || 2000,
+  // Review time quoted to applicants: the median of the most recent reviews,
+  // or the default until enough proofs have been reviewed
+  defaultReviewTimeHours: parseInt(process.env.PAYMENT_REVIEW_TIME_HOURS) || 48,
+  reviewTimeSampleSize: parseInt(process.env.PAYMENT_REVIEW_TIME_SAMPLE_SIZE) || 50,
+  reviewTimeMinSamples: 5
+};
+
+export default paymentsConfig;
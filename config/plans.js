@@ -0,0 +1,27 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Subscription plans. Amounts are in the currency's minor unit (cents).
+const plans = {
+  premium_monthly: { name: 'Premium Monthly', amount: 999, currency: 'usd', interval: 'month', tier: 'premium' },
+  premium_yearly: { name: 'Premium Yearly', amount: 9999, currency: 'usd', interval: 'year', tier: 'premium' },
+  enterprise_monthly: { name: 'Enterprise Monthly', amount: 2999, currency: 'usd', interval: 'month', tier: 'enterprise' },
+  enterprise_yearly: { name: 'Enterprise Yearly', amount: 29999, currency: 'usd', interval: 'year', tier: 'enterprise' }
+};
+
+export const PLAN_IDS = Object.keys(plans);
+
+// Subscription plan and lifecycle settings
+const plansConfig = {
+  plans,
+  // Plan given to approved registrations that did not pick one
+  defaultPlanId: plans[process.env.DEFAULT_PLAN_ID] ? process.env.DEFAULT_PLAN_ID : 'premium_monthly',
+  // How many days before the period ends members are reminded to renew
+  expiryReminderDays: parseInt(process.env.SUBSCRIPTION_EXPIRY_REMINDER_DAYS ?? 7),
+  expiryJobIntervalMs: (parseInt(process.env.SUBSCRIPTION_EXPIRY_JOB_INTERVAL_MINUTES) || 60) * 60 * 1000
+};
+
+export const getPlan = (planId) => plans[planId];
+
+export default plansConfig;
@@ -0,0 +1,52 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const hasCloudinaryCredentials = Boolean(
+  process.env.CLOUDINARY_CLOUD_NAME &&
+  process.env.CLOUDINARY_API_KEY &&
+  process.env.CLOUDINARY_API_SECRET
+);
+
+// Where uploaded files are stored
+const storageConfig = {
+  // 'local' - files on this server's disk, served under /uploads
+  // 's3' - any S3-compatible bucket (AWS, MinIO, R2, Spaces, ...)
+  // 'cloudinary' - Cloudinary image hosting
+  // Defaults to Cloudinary when its credentials are present, otherwise local
+  // disk outside production. Production has no fallback, since a host's disk
+  // may not survive a redeploy (set STORAGE_DRIVER=local if it is persistent).
+  driver: process.env.STORAGE_DRIVER || (hasCloudinaryCredentials
+    ? 'cloudinary'
+    : (process.env.NODE_ENV === 'production' ? undefined : 'local')),
+
+  // How long signed links to private files (such as payment proofs) stay valid
+  signedUrlTtlSeconds: parseInt(process.env.STORAGE_SIGNED_URL_TTL_SECONDS) || 300,
+
+  local: {
+    directory: process.env.UPLOAD_DIR || 'uploads',
+    // Base URL the saved files are reachable at; relative to the API by default
+    publicBaseUrl: process.env.UPLOAD_PUBLIC_URL || '/uploads',
+    // Private files are kept outside the public directory and only served
+    // through signed links to the API
+    privateDirectory: process.env.UPLOAD_PRIVATE_DIR || 'private-uploads',
+    signedBaseUrl: process.env.UPLOAD_SIGNED_URL_BASE || '/api/files',
+    signingSecret: process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET
+  },
+
+  s3: {
+    bucket: process.env.S3_BUCKET,
+    region: process.env.S3_REGION || 'us-east-1',
+    // Set for S3-compatible services other than AWS
+    endpoint: process.env.S3_ENDPOINT,
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+    // Public (or CDN) URL of the bucket; derived from the endpoint if not set.
+    // Private files are stored under the private/ prefix, which the bucket
+    // policy must not make public.
+    publicBaseUrl: process.env.S3_PUBLIC_URL
+  }
+};
+
+export default storageConfig;
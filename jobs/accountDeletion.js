@@ -0,0 +1,129 @@
+import User from '../models/User.js';
+import Subscription from '../models/Subscription.js';
+import ContentAccess from '../models/ContentAccess.js';
+import AuditLog from '../models/AuditLog.js';
+import PaymentSubmission from '../models/PaymentSubmission.js';
+import EmailMessage from '../models/EmailMessage.js';
+import Session from '../models/Session.js';
+import RefreshToken from '../models/RefreshToken.js';
+import OidcState from '../models/OidcState.js';
+import authConfig from '../config/auth.js';
+import { revokeUserTokens } from '../middleware/auth.js';
+
+// Audit log fields that can identify the user; the rest of each entry is kept
+const ERASED_AUDIT_FIELDS = [
+  'ipAddress',
+  'userAgent',
+  'details.email',
+  'details.fullName',
+  'details.mobileNumber',
+  'details.newEmail',
+  'details.pendingEmail',
+  'details.before',
+  'details.after',
+  'details.to',
+  'details.payerName',
+  'details.targetUserEmail',
+  'details.targetUserName',
+  'details.oldData.fullName',
+  'details.newData.fullName'
+];
+
+// Erase a single account whose cooling-off period has passed
+export const eraseAccount = async (user, mode = authConfig.accountDeletionMode) => {
+  const requestedAt = user.deletionRequestedAt;
+  const { email } = user;
+
+  await revokeUserTokens(user._id, 'account_deleted');
+  await ContentAccess.deleteMany({ userId: user._id });
+  await PaymentSubmission.removeImagesForUser(user._id);
+
+  // Sessions, sign-in state and sent emails only describe the user, so they
+  // go in either mode
+  await Session.deleteMany({ userId: user._id });
+  await RefreshToken.deleteMany({ userId: user._id });
+  await OidcState.deleteMany({ userId: user._id });
+  await EmailMessage.deleteMany({ $or: [{ userId: user._id }, { to: email }] });
+
+  // Audit entries are kept in both modes, without the user's request metadata
+  // or personal details (including entries admins made about the account and
+  // failed sign-ins recorded only by email)
+  await AuditLog.updateMany(
+    {
+      $or: [
+        { userId: user._id },
+        { resourceType: 'user', resourceId: user._id.toString() },
+        { 'details.email': email }
+      ]
+    },
+    { $unset: Object.fromEntries(ERASED_AUDIT_FIELDS.map(field => [field, 1])) }
+  );
+
+  if (mode === 'delete') {
+    await Subscription.deleteMany({ userId: user._id });
+    await PaymentSubmission.deleteMany({ userId: user._id });
+    await User.findByIdAndDelete(user._id);
+  } else {
+    // Keep subscription and payment records for financial reporting, but drop
+    // the payer details. Subscriptions still running are cancelled so the
+    // expiry job and stats don't treat the erased account as a member.
+    await Subscription.updateMany(
+      { userId: user._id, status: 'active' },
+      { status: 'cancelled', cancelledAt: new Date(), cancelAtPeriodEnd: false }
+    );
+    await PaymentSubmission.updateMany(
+      { userId: user._id },
+      { $unset: { imageUrl: 1, imageKey: 1, storageDriver: 1, payerName: 1, referenceNumber: 1 } }
+    );
+
+    user.anonymize();
+    await user.save();
+  }
+
+  // Log account erasure
+  await AuditLog.logEvent({
+    userId: user._id,
+    action: 'account_erased',
+    resourceType: 'user',
+    resourceId: user._id.toString(),
+    details: {
+      mode,
+      requestedAt
+    },
+    severity: 'high'
+  });
+};
+
+// Erase every account whose scheduled deletion date has passed
+export const processAccountDeletions = async () => {
+  const users = await User.find({ deletionScheduledFor: { $lte: new Date() } });
+
+  let processed = 0;
+  for (const user of users) {
+    try {
+      await eraseAccount(user);
+      processed += 1;
+    } catch (error) {
+      console.error(`Account deletion failed for user ${user._id}:`, error);
+    }
+  }
+
+  if (processed > 0) {
+    console.log(`🗑️  Erased ${processed} account(s) scheduled for deletion`);
+  }
+
+  return processed;
+};
+
+// Run the deletion job on an interval for the lifetime of the process
+export const startAccountDeletionJob = () => {
+  const run = () => {
+    processAccountDeletions().catch((error) => {
+      console.error('Account deletion job error:', error);
+    });
+  };
+
+  const timer = setInterval(run, authConfig.accountDeletionJobIntervalMs);
+  timer.unref();
+  return timer;
+};
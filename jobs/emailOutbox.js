@@ -0,0 +1,47 @@
+import EmailMessage from '../models/EmailMessage.js';
+import emailConfig from '../config/email.js';
+import { deliverEmailMessage } from '../services/email/index.js';
+
+// Retry every outbox message whose next delivery attempt is due
+export const processEmailOutbox = async () => {
+  await EmailMessage.releaseStale();
+
+  let sent = 0;
+  let failed = 0;
+  let message;
+  while ((message = await EmailMessage.claimNextDue())) {
+    await deliverEmailMessage(message);
+    if (message.status === 'sent') {
+      sent += 1;
+    } else {
+      failed += 1;
+    }
+  }
+
+  if (sent > 0 || failed > 0) {
+    console.log(`📧 Email outbox: ${sent} sent, ${failed} failed`);
+  }
+
+  return { sent, failed };
+};
+
+// Run the outbox job on an interval for the lifetime of the process
+export const startEmailOutboxJob = () => {
+  let running = false;
+  const run = () => {
+    // Skip a tick if the previous run is still working through the queue
+    if (running) return;
+    running = true;
+    processEmailOutbox()
+      .catch((error) => {
+        console.error('Email outbox job error:', error);
+      })
+      .finally(() => {
+        running = false;
+      });
+  };
+
+  const timer = setInterval(run, emailConfig.outboxJobIntervalMs);
+  timer.unref();
+  return timer;
+};
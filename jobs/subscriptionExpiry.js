@@ -0,0 +1,103 @@
+import Subscription from '../models/Subscription.js';
+import User from '../models/User.js';
+import AuditLog from '../models/AuditLog.js';
+import plansConfig, { getPlan } from '../config/plans.js';
+import { sendTemplateEmail, getFrontendUrl } from '../services/email/index.js';
+
+// Remind members whose subscription ends within the reminder window (once per subscription)
+export const sendExpiryReminders = async () => {
+  if (plansConfig.expiryReminderDays <= 0) return 0;
+
+  const now = new Date();
+  const windowEnd = new Date(now.getTime() + plansConfig.expiryReminderDays * 24 * 60 * 60 * 1000);
+  const subscriptions = await Subscription.find({
+    status: 'active',
+    currentPeriodEnd: { $gt: now, $lte: windowEnd },
+    expiryReminderSentAt: { $exists: false }
+  });
+
+  let sent = 0;
+  for (const subscription of subscriptions) {
+    try {
+      const user = await User.findById(subscription.userId).select('email fullName');
+      if (user) {
+        await sendTemplateEmail('subscription_expiry_reminder', {
+          to: user.email,
+          userId: user._id,
+          data: {
+            fullName: user.fullName,
+            planName: getPlan(subscription.planId)?.name || subscription.planId,
+            expiresAt: subscription.currentPeriodEnd,
+            renewUrl: getFrontendUrl('/subscription')
+          }
+        });
+        sent += 1;
+      }
+
+      await Subscription.updateOne({ _id: subscription._id }, { expiryReminderSentAt: new Date() });
+    } catch (error) {
+      console.error(`Expiry reminder failed for subscription ${subscription._id}:`, error);
+    }
+  }
+
+  return sent;
+};
+
+// Mark every active subscription whose period has ended as expired (saving
+// each one so the member's tier and status are updated as well)
+export const expireSubscriptions = async () => {
+  const subscriptions = await Subscription.find({
+    status: 'active',
+    currentPeriodEnd: { $lte: new Date() }
+  });
+
+  let expired = 0;
+  for (const subscription of subscriptions) {
+    try {
+      subscription.status = 'expired';
+      await subscription.save();
+      expired += 1;
+
+      // Log expiry
+      await AuditLog.logEvent({
+        userId: subscription.userId,
+        action: 'subscription_expired',
+        resourceType: 'subscription',
+        resourceId: subscription._id.toString(),
+        details: {
+          planId: subscription.planId,
+          currentPeriodEnd: subscription.currentPeriodEnd
+        },
+        severity: 'low'
+      });
+    } catch (error) {
+      console.error(`Subscription expiry failed for ${subscription._id}:`, error);
+    }
+  }
+
+  return expired;
+};
+
+export const processSubscriptionExpiry = async () => {
+  const reminded = await sendExpiryReminders();
+  const expired = await expireSubscriptions();
+
+  if (reminded > 0 || expired > 0) {
+    console.log(`📅 Subscriptions: ${reminded} reminder(s) sent, ${expired} expired`);
+  }
+
+  return { reminded, expired };
+};
+
+// Run the expiry job on an interval for the lifetime of the process
+export const startSubscriptionExpiryJob = () => {
+  const run = () => {
+    processSubscriptionExpiry().catch((error) => {
+      console.error('Subscription expiry job error:', error);
+    });
+  };
+
+  const timer = setInterval(run, plansConfig.expiryJobIntervalMs);
+  timer.unref();
+  return timer;
+};
@@ -1,25 +1,192 @@
+import crypto from 'crypto';
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
 import AdminUser from '../models/AdminUser.js';
 import AuditLog from '../models/AuditLog.js';
+import RefreshToken from '../models/RefreshToken.js';
+import Session from '../models/Session.js';
+import authConfig from '../config/auth.js';
+import { describeDevice } from '../utils/device.js';
+import { isAdminPasswordExpired } from '../utils/passwordPolicy.js';
 
-// Generate JWT token
-export const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN || '7d'
+// How often authenticated requests refresh a session's lastSeenAt
+const SESSION_TOUCH_INTERVAL_MS = 5 * 60 * 1000;
+
+// Generate JWT token (embeds the user's token version so it can be revoked).
+// Pass { mfa: true } for admin tokens issued after a second factor was checked.
+export const generateToken = (user, claims = {}) => {
+  const payload = { userId: user._id, tokenVersion: user.tokenVersion || 0 };
+  if (claims.sessionId) payload.sid = claims.sessionId.toString();
+  if (claims.mfa) payload.mfa = true;
+
+  return jwt.sign(payload, process.env.JWT_SECRET, {
+    expiresIn: authConfig.accessTokenExpiresIn
+  });
+};
+
+// Generate refresh token and record it server-side.
+// Pass the family of the token being rotated to keep the chain together.
+export const generateRefreshToken = async (userId, options = {}) => {
+  const { family = crypto.randomUUID(), mfa = false, ipAddress, userAgent } = options;
+  const jti = crypto.randomUUID();
+
+  const refreshToken = jwt.sign({ userId, jti, family }, process.env.JWT_REFRESH_SECRET, {
+    expiresIn: authConfig.refreshTokenExpiresIn
   });
+
+  const { exp } = jwt.decode(refreshToken);
+  await RefreshToken.create({
+    userId,
+    jti,
+    family,
+    mfa,
+    expiresAt: new Date(exp * 1000),
+    ipAddress,
+    userAgent
+  });
+
+  return refreshToken;
+};
+
+// Make room for a new login within the user's concurrent session limit.
+// Depending on configuration the least recently used sessions are evicted,
+// or the login is refused; either way the outcome is audited.
+export const enforceSessionLimit = async (user, req) => {
+  const limit = authConfig.sessionLimits[user.subscriptionTier] || 0;
+  if (!limit) {
+    return { allowed: true };
+  }
+
+  const sessions = await Session.findActiveForUser(user._id, { kind: 'user' });
+  if (sessions.length < limit) {
+    return { allowed: true, limit };
+  }
+
+  if (authConfig.sessionLimitStrategy === 'reject') {
+    await AuditLog.logEvent({
+      userId: user._id,
+      action: 'session_limit_refused',
+      resourceType: 'user',
+      resourceId: user._id.toString(),
+      details: {
+        limit,
+        activeSessions: sessions.length,
+        subscriptionTier: user.subscriptionTier
+      },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      severity: 'medium',
+      status: 'failure'
+    });
+
+    return { allowed: false, limit };
+  }
+
+  // Sessions are sorted newest first, so the ones past the limit are the oldest
+  const evicted = sessions.slice(limit - 1);
+  for (const session of evicted) {
+    await session.revoke('session_limit');
+
+    await AuditLog.logEvent({
+      userId: user._id,
+      action: 'session_evicted',
+      resourceType: 'user',
+      resourceId: user._id.toString(),
+      details: {
+        sessionId: session._id,
+        deviceLabel: session.deviceLabel,
+        lastSeenAt: session.lastSeenAt,
+        limit,
+        subscriptionTier: user.subscriptionTier
+      },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      severity: 'medium',
+      status: 'warning'
+    });
+  }
+
+  return { allowed: true, limit, evictedCount: evicted.length };
 };
 
-// Generate refresh token
-export const generateRefreshToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_REFRESH_SECRET, {
-    expiresIn: '30d'
+// Start a login session for a device and issue its access/refresh pair
+export const createUserSession = async (user, req, { mfa = false, kind = 'user' } = {}) => {
+  const family = crypto.randomUUID();
+  const userAgent = req.get('User-Agent');
+
+  const refreshToken = await generateRefreshToken(user._id, {
+    family,
+    mfa,
+    ipAddress: req.ip,
+    userAgent
+  });
+
+  const session = await Session.create({
+    userId: user._id,
+    refreshFamily: family,
+    ipAddress: req.ip,
+    userAgent,
+    deviceLabel: describeDevice(userAgent),
+    kind,
+    mfa,
+    lastSeenAt: new Date(),
+    expiresAt: new Date(jwt.decode(refreshToken).exp * 1000)
   });
+
+  const token = generateToken(user, { mfa, sessionId: session._id });
+
+  return { token, refreshToken, session };
+};
+
+// Verify refresh token signature and expiry
+export const verifyRefreshToken = (token) => {
+  return jwt.verify(token, process.env.JWT_REFRESH_SECRET);
 };
 
-// Verify JWT token
+// Verify JWT token (purpose-bound tokens such as 2FA challenges are not access tokens)
 export const verifyToken = (token) => {
-  return jwt.verify(token, process.env.JWT_SECRET);
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  if (decoded.purpose) {
+    throw new jwt.JsonWebTokenError('Token cannot be used for authentication');
+  }
+  return decoded;
+};
+
+// Generate a short-lived token proving the password step of an admin login
+// passed. challengeId ties it to the challenge recorded on the admin, which
+// makes it single-use (see AdminUser.startTwoFactorChallenge).
+export const generateTwoFactorChallenge = (userId, challengeId) => {
+  return jwt.sign({ userId, purpose: 'admin_2fa' }, process.env.JWT_SECRET, {
+    expiresIn: authConfig.twoFactorChallengeExpiresIn,
+    jwtid: challengeId
+  });
+};
+
+// Verify a 2FA challenge token (the challenge ID is returned as decoded.jti)
+export const verifyTwoFactorChallenge = (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  if (decoded.purpose !== 'admin_2fa' || !decoded.jti) {
+    throw new jwt.JsonWebTokenError('Invalid challenge token');
+  }
+  return decoded;
+};
+
+// Revoke every outstanding access and refresh token for a user.
+// Returns the updated user so callers can issue fresh tokens if needed.
+export const revokeUserTokens = async (userId, reason) => {
+  const user = await User.findByIdAndUpdate(
+    userId,
+    { $inc: { tokenVersion: 1 } },
+    { new: true }
+  );
+  await RefreshToken.revokeAllForUser(userId, reason);
+  await Session.revokeAllForUser(userId, reason);
+  return user;
+};
+
+// Tokens issued before the user's last revocation carry an older version
+const isTokenRevoked = (decoded, user) => {
+  return (decoded.tokenVersion || 0) !== (user.tokenVersion || 0);
 };
 
 // Authentication middleware
@@ -45,7 +212,34 @@ export const authenticate = async (req, res, next) => {
       });
     }
 
+    if (isTokenRevoked(decoded, user)) {
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Token has been revoked' 
+      });
+    }
+
+    if (decoded.sid) {
+      const session = await Session.findById(decoded.sid);
+      if (!session || !session.isActive) {
+        return res.status(401).json({ 
+          success: false, 
+          message: 'Session has been revoked' 
+        });
+      }
+
+      if (Date.now() - session.lastSeenAt > SESSION_TOUCH_INTERVAL_MS) {
+        await Session.updateOne(
+          { _id: session._id },
+          { lastSeenAt: new Date(), lastIpAddress: req.ip }
+        );
+      }
+
+      req.session = session;
+    }
+
     req.user = user;
+    req.auth = decoded;
     next();
   } catch (error) {
     if (error.name === 'TokenExpiredError') {
@@ -62,6 +256,36 @@ export const authenticate = async (req, res, next) => {
   }
 };
 
+// Authentication for endpoints applicants need while their registration is
+// under review, before they can sign in: a bearer token works as with
+// authenticate, otherwise the email and registration status token in the body
+// (see validateStatusTokenAuth) identify the user
+export const authenticateUserOrStatusToken = async (req, res, next) => {
+  if (req.headers.authorization) {
+    return authenticate(req, res, next);
+  }
+
+  try {
+    const { email, token } = req.body;
+    const user = await User.findOne({ email }).select('-password');
+    if (!user || !user.verifyRegistrationStatusToken(token)) {
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Invalid email or status token' 
+      });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    console.error('Status token authentication error:', error);
+    return res.status(500).json({ 
+      success: false, 
+      message: 'Authentication failed' 
+    });
+  }
+};
+
 // Admin authentication middleware
 export const authenticateAdmin = async (req, res, next) => {
   try {
@@ -93,6 +317,25 @@ export const authenticateAdmin = async (req, res, next) => {
 
       // Get admin details with permissions
       const adminUser = await AdminUser.getAdminWithPermissions(req.user._id);
+
+      // Admins under 2FA must present a token issued after the second factor
+      if (!req.auth.mfa && await adminUser.isTwoFactorRequired()) {
+        return res.status(403).json({ 
+          success: false, 
+          message: 'Two-factor authentication required. Please sign in through the admin login.',
+          twoFactorRequired: true
+        });
+      }
+
+      // Admins with an expired password may only change it
+      if (isAdminPasswordExpired(req.user)) {
+        return res.status(403).json({ 
+          success: false, 
+          message: 'Your password has expired. Please change it to continue.',
+          passwordExpired: true
+        });
+      }
+
       req.admin = adminUser;
       
       next();
@@ -118,6 +361,19 @@ export const requirePermission = (permission) => {
   };
 };
 
+// Role check middleware
+export const requireRole = (role) => {
+  return (req, res, next) => {
+    if (!req.admin || req.admin.role !== role) {
+      return res.status(403).json({ 
+        success: false, 
+        message: `Role required: ${role}` 
+      });
+    }
+    next();
+  };
+};
+
 // Optional authentication (for public endpoints that can benefit from user context)
 export const optionalAuth = async (req, res, next) => {
   try {
@@ -127,8 +383,9 @@ export const optionalAuth = async (req, res, next) => {
       const token = authHeader.substring(7);
       const decoded = verifyToken(token);
       const user = await User.findById(decoded.userId).select('-password');
+      const session = decoded.sid ? await Session.findById(decoded.sid) : null;
       
-      if (user) {
+      if (user && !isTokenRevoked(decoded, user) && (!decoded.sid || (session && session.isActive))) {
         req.user = user;
       }
     }
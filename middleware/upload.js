@@ -1,23 +1,11 @@
 import multer from 'multer';
-import cloudinary from '../config/cloudinary.js';
-import { CloudinaryStorage } from 'multer-storage-cloudinary';
+import { saveFile, removeFile } from '../services/storage/index.js';
+import { fingerprintImage } from '../utils/imageFingerprint.js';
 
-// Configure Cloudinary storage for multer
-const storage = new CloudinaryStorage({
-  cloudinary: cloudinary,
-  params: {
-    folder: 'rx-magazine/payment-proofs',
-    allowed_formats: ['jpg', 'jpeg', 'png', 'gif', 'webp'],
-    transformation: [
-      { width: 800, height: 600, crop: 'limit' },
-      { quality: 'auto' }
-    ]
-  },
-});
-
-// Create multer instance
-const upload = multer({
-  storage: storage,
+// Keep uploads in memory until the route has checked the request, then
+// fingerprint them and hand them to the configured storage driver
+const parser = multer({
+  storage: multer.memoryStorage(),
   limits: {
     fileSize: 5 * 1024 * 1024, // 5MB limit
   },
@@ -31,4 +19,44 @@ const upload = multer({
   },
 });
 
+const upload = {
+  // Accept a single image in the given form field. The file is only held in
+  // memory; routes call store() once the request has been authorized, so
+  // rejected requests never leave files behind.
+  single: (fieldName) => parser.single(fieldName),
+
+  // Store the parsed file and replace req.file with a driver-independent
+  // descriptor: { url, key, driver, visibility, size, mimeType, originalName }
+  // plus the contentHash and perceptualHash used to spot reused payment proofs.
+  // Fingerprints come from the original bytes, before any transformation.
+  // Uploads are private by default since they are payment proofs showing bank
+  // details.
+  store: async (req, { folder = 'payment-proofs', visibility = 'private' } = {}) => {
+    const { buffer, originalname, mimetype } = req.file;
+    const fingerprint = await fingerprintImage(buffer);
+    const stored = await saveFile({
+      buffer,
+      originalName: originalname,
+      mimeType: mimetype,
+      folder,
+      visibility
+    });
+
+    req.file = { ...stored, ...fingerprint };
+    return req.file;
+  },
+
+  // Remove a file stored by store() when the request fails before it is
+  // recorded anywhere
+  discard: async (req) => {
+    if (!req.file?.key) return;
+
+    try {
+      await removeFile(req.file.key, req.file.driver);
+    } catch (error) {
+      console.error(`Failed to remove uploaded file ${req.file.key}:`, error);
+    }
+  }
+};
+
 export default upload;
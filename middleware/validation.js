@@ -1,4 +1,7 @@
-import { body, param, query, validationResult } from 'express-validator';
+import { body, header, param, query, validationResult } from 'express-validator';
+import { checkPasswordStrength } from '../utils/passwordPolicy.js';
+import { PAYMENT_CHANNELS } from '../models/PaymentSubmission.js';
+import { PLAN_IDS } from '../config/plans.js';
 
 // Handle validation errors
 export const handleValidationErrors = (req, res, next) => {
@@ -13,15 +16,23 @@ export const handleValidationErrors = (req, res, next) => {
   next();
 };
 
+// Check a new password against the shared password policy
+const passwordPolicyRule = (field) => body(field)
+  .custom(value => {
+    const errors = checkPasswordStrength(value);
+    if (errors.length > 0) {
+      throw new Error(errors.join('. '));
+    }
+    return true;
+  });
+
 // User validation rules
 export const validateUserRegistration = [
   body('email')
     .isEmail()
     .normalizeEmail()
     .withMessage('Please provide a valid email'),
-  body('password')
-    .isLength({ min: 6 })
-    .withMessage('Password must be at least 6 characters long'),
+  passwordPolicyRule('password'),
   body('fullName')
     .trim()
     .isLength({ min: 2 })
@@ -29,6 +40,18 @@ export const validateUserRegistration = [
   handleValidationErrors
 ];
 
+// Registration with a payment proof (multipart form). Required fields are
+// checked by the route; the email is normalized the same way as at login so
+// the applicant can be found again later.
+export const validatePaymentRegistration = [
+  body('email')
+    .optional({ values: 'falsy' })
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+  handleValidationErrors
+];
+
 export const validateUserLogin = [
   body('email')
     .isEmail()
@@ -40,6 +63,271 @@ export const validateUserLogin = [
   handleValidationErrors
 ];
 
+export const validateRefreshToken = [
+  body('refreshToken')
+    .notEmpty()
+    .withMessage('Refresh token is required'),
+  handleValidationErrors
+];
+
+export const validateProfileUpdate = [
+  body('fullName')
+    .optional()
+    .trim()
+    .isLength({ min: 2 })
+    .withMessage('Full name must be at least 2 characters long'),
+  body('mobileNumber')
+    .optional()
+    .trim()
+    .matches(/^\+?[\d\s()-]{7,20}$/)
+    .withMessage('Please provide a valid mobile number'),
+  handleValidationErrors
+];
+
+export const validateMobileCode = [
+  body('code')
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be 6 digits'),
+  handleValidationErrors
+];
+
+// Applicants who can't sign in yet identify themselves with their email and
+// registration status token instead of a bearer token
+export const validateStatusTokenAuth = [
+  body('email')
+    .if(header('authorization').not().exists())
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+  body('token')
+    .if(header('authorization').not().exists())
+    .isString()
+    .notEmpty()
+    .withMessage('Status token is required'),
+  handleValidationErrors
+];
+
+export const validateEmailChange = [
+  body('newEmail')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+  handleValidationErrors
+];
+
+export const validateAccountDeletion = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+  handleValidationErrors
+];
+
+export const validatePasswordlessRequest = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+  handleValidationErrors
+];
+
+export const validatePasswordlessVerify = [
+  body('token')
+    .optional()
+    .isString()
+    .withMessage('Login token must be a string'),
+  body('email')
+    .optional()
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+  body('code')
+    .optional()
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be 6 digits'),
+  body()
+    .custom(value => value.token || (value.email && value.code))
+    .withMessage('A login token, or an email and code, is required'),
+  handleValidationErrors
+];
+
+export const validateOidcExchange = [
+  body('code')
+    .notEmpty()
+    .withMessage('Sign-in code is required'),
+  handleValidationErrors
+];
+
+export const validatePaymentResubmitLink = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+  handleValidationErrors
+];
+
+export const validatePaymentResubmit = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+  body()
+    .custom(value => value.token || value.password)
+    .withMessage('A payment proof link token or your password is required'),
+  handleValidationErrors
+];
+
+// Registration status lookup validation
+export const validateRegistrationStatusLookup = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Status token is required'),
+  handleValidationErrors
+];
+
+export const validateRegistrationStatusLink = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+  handleValidationErrors
+];
+
+// Registration decision validation
+const registrationDecisionRules = [
+  body('action')
+    .isIn(['approve', 'reject'])
+    .withMessage('Invalid action. Must be "approve" or "reject"'),
+  body('rejectionReasonId')
+    .optional({ values: 'falsy' })
+    .isMongoId()
+    .withMessage('Invalid rejection reason'),
+  body('rejectionReason')
+    .optional({ values: 'falsy' })
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Rejection reason must be at most 1000 characters'),
+  body('adminNotes')
+    .optional({ values: 'falsy' })
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Admin notes must be at most 1000 characters'),
+  // Optional overrides for the subscription created on approval
+  body('planId')
+    .optional({ values: 'falsy' })
+    .isIn(PLAN_IDS)
+    .withMessage('Invalid plan ID'),
+  body('currentPeriodStart')
+    .optional({ values: 'falsy' })
+    .isISO8601()
+    .withMessage('Period start must be a valid date'),
+  body('currentPeriodEnd')
+    .optional({ values: 'falsy' })
+    .isISO8601()
+    .withMessage('Period end must be a valid date'),
+  body('amount')
+    .optional({ values: 'null' })
+    .isInt({ min: 0 })
+    .withMessage('Amount must be a whole number of cents')
+    .toInt(),
+  body('currency')
+    .optional({ values: 'falsy' })
+    .trim()
+    .isISO4217()
+    .withMessage('Currency must be a 3-letter currency code')
+];
+
+export const validateRegistrationDecision = [
+  ...registrationDecisionRules,
+  handleValidationErrors
+];
+
+// Bulk registration decision validation: the same decision for up to 200 users.
+// batchId lets a client retry a batch and find it again in the audit log.
+export const validateBulkRegistrationDecision = [
+  body('userIds')
+    .isArray({ min: 1, max: 200 })
+    .withMessage('userIds must be a list of 1-200 user IDs'),
+  body('userIds.*')
+    .isMongoId()
+    .withMessage('Invalid user ID'),
+  body('batchId')
+    .optional({ values: 'falsy' })
+    .trim()
+    .matches(/^[A-Za-z0-9_-]{1,100}$/)
+    .withMessage('Batch ID must be 1-100 letters, numbers, dashes or underscores'),
+  ...registrationDecisionRules,
+  handleValidationErrors
+];
+
+// Rejection reason validation (fields are optional when updating)
+const rejectionReasonRules = (optional) => {
+  const field = (name) => optional ? body(name).optional() : body(name);
+  return [
+    field('code')
+      .trim()
+      .matches(/^[a-z0-9_]{2,50}$/)
+      .withMessage('Code must be 2-50 lowercase letters, numbers or underscores'),
+    field('label')
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Label is required and must be at most 100 characters'),
+    field('message')
+      .trim()
+      .isLength({ min: 1, max: 1000 })
+      .withMessage('Message is required and must be at most 1000 characters'),
+    body('isActive')
+      .optional()
+      .isBoolean()
+      .withMessage('isActive must be a boolean')
+      .toBoolean(),
+    handleValidationErrors
+  ];
+};
+
+export const validateRejectionReasonCreate = rejectionReasonRules(false);
+export const validateRejectionReasonUpdate = rejectionReasonRules(true);
+
+// Optional details describing the payment behind an uploaded proof
+export const validatePaymentDetails = [
+  body('amount')
+    .optional({ values: 'falsy' })
+    .isFloat({ min: 0 })
+    .withMessage('Amount must be a positive number')
+    .toFloat(),
+  body('currency')
+    .optional({ values: 'falsy' })
+    .trim()
+    .isISO4217()
+    .withMessage('Currency must be a 3-letter currency code'),
+  body('paymentChannel')
+    .optional({ values: 'falsy' })
+    .isIn(PAYMENT_CHANNELS)
+    .withMessage(`Payment channel must be one of: ${PAYMENT_CHANNELS.join(', ')}`),
+  body('referenceNumber')
+    .optional({ values: 'falsy' })
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Reference number must be at most 100 characters'),
+  body('payerName')
+    .optional({ values: 'falsy' })
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Payer name must be at most 100 characters'),
+  body('planId')
+    .optional({ values: 'falsy' })
+    .isIn(PLAN_IDS)
+    .withMessage('Invalid plan ID'),
+  handleValidationErrors
+];
+
 export const validatePasswordReset = [
   body('email')
     .isEmail()
@@ -48,20 +336,57 @@ export const validatePasswordReset = [
   handleValidationErrors
 ];
 
+export const validateResendVerification = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+  handleValidationErrors
+];
+
 export const validatePasswordUpdate = [
   body('token')
     .notEmpty()
     .withMessage('Reset token is required'),
-  body('password')
-    .isLength({ min: 6 })
-    .withMessage('Password must be at least 6 characters long'),
+  passwordPolicyRule('password'),
+  handleValidationErrors
+];
+
+export const validatePasswordChange = [
+  body('currentPassword')
+    .notEmpty()
+    .withMessage('Current password is required'),
+  passwordPolicyRule('newPassword'),
   handleValidationErrors
 ];
 
+// Two-factor authentication validation rules
+export const validateTwoFactorCode = [
+  body('code')
+    .optional()
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be 6 digits'),
+  body('recoveryCode')
+    .optional()
+    .isString()
+    .withMessage('Recovery code must be a string'),
+  body()
+    .custom(value => value.code || value.recoveryCode)
+    .withMessage('Authentication code or recovery code is required'),
+  handleValidationErrors
+];
+
+export const validateTwoFactorLogin = [
+  body('challengeToken')
+    .notEmpty()
+    .withMessage('Challenge token is required'),
+  ...validateTwoFactorCode
+];
+
 // Subscription validation rules
 export const validateSubscriptionCreate = [
   body('planId')
-    .isIn(['premium_monthly', 'premium_yearly', 'enterprise_monthly', 'enterprise_yearly'])
+    .isIn(PLAN_IDS)
     .withMessage('Invalid plan ID'),
   body('paymentMethodId')
     .notEmpty()
@@ -108,6 +433,14 @@ export const validatePagination = [
   handleValidationErrors
 ];
 
+export const validatePaymentProofQuery = [
+  query('submissionId')
+    .optional()
+    .isMongoId()
+    .withMessage('Submission ID must be a valid ID'),
+  handleValidationErrors
+];
+
 export const validateDateRange = [
   query('startDate')
     .optional()
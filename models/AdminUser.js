@@ -1,4 +1,9 @@
 import mongoose from 'mongoose';
+import SystemSetting from './SystemSetting.js';
+import { generateSecureToken, hashToken } from '../utils/tokens.js';
+import { verifyTotpCode } from '../utils/totp.js';
+import { encryptSecret, decryptSecret, isEncrypted } from '../utils/encryption.js';
+import authConfig from '../config/auth.js';
 
 const adminUserSchema = new mongoose.Schema({
   userId: {
@@ -29,6 +34,41 @@ const adminUserSchema = new mongoose.Schema({
     default: true
   },
   lastAdminLogin: Date,
+  // TOTP two-factor authentication (secrets are encrypted at rest and never
+  // returned by default)
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  twoFactorEnabledAt: Date,
+  twoFactorSecret: {
+    type: String,
+    select: false
+  },
+  twoFactorPendingSecret: {
+    type: String,
+    select: false
+  },
+  twoFactorRecoveryCodes: {
+    type: [String],
+    select: false
+  },
+  twoFactorLastUsedStep: {
+    type: Number,
+    select: false
+  },
+  // The outstanding login challenge: only the latest one is accepted, once,
+  // and for a limited number of codes
+  twoFactorChallenge: {
+    type: {
+      idHash: String,
+      attempts: {
+        type: Number,
+        default: 0
+      }
+    },
+    select: false
+  },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
@@ -71,6 +111,113 @@ adminUserSchema.methods.hasPermission = function(permission) {
   return this.isActive && this.permissions.includes(permission);
 };
 
+// Method to check a TOTP code against the active (or pending) secret.
+// A code is only accepted once so it cannot be replayed within its window.
+adminUserSchema.methods.verifyTwoFactorCode = function(code, { pending = false } = {}) {
+  const field = pending ? 'twoFactorPendingSecret' : 'twoFactorSecret';
+  const stored = this[field];
+  if (!stored) return false;
+
+  const step = verifyTotpCode(decryptSecret(stored, authConfig.twoFactorEncryptionKey), code);
+  if (step === null || (this.twoFactorLastUsedStep && step <= this.twoFactorLastUsedStep)) {
+    return false;
+  }
+
+  this.twoFactorLastUsedStep = step;
+
+  // Secrets saved before encryption was introduced are encrypted on first use
+  if (!isEncrypted(stored)) {
+    this.setTwoFactorSecret(field, decryptSecret(stored));
+  }
+  return true;
+};
+
+// Method to store a TOTP secret (encrypted) in the active or pending field
+adminUserSchema.methods.setTwoFactorSecret = function(field, secret) {
+  this[field] = encryptSecret(secret, authConfig.twoFactorEncryptionKey);
+};
+
+// Method to start a login challenge, replacing any earlier one; returns the
+// challenge ID to embed in the challenge token
+adminUserSchema.methods.startTwoFactorChallenge = function() {
+  const challengeId = generateSecureToken(16);
+  this.twoFactorChallenge = { idHash: hashToken(challengeId), attempts: 0 };
+  return challengeId;
+};
+
+// Static method to check that a challenge is still the admin's outstanding one
+adminUserSchema.statics.hasTwoFactorChallenge = async function(userId, challengeId) {
+  return !!(await this.exists({
+    userId,
+    isActive: true,
+    'twoFactorChallenge.idHash': hashToken(challengeId),
+    'twoFactorChallenge.attempts': { $lt: authConfig.twoFactorChallengeMaxAttempts }
+  }));
+};
+
+// Static method to use up one attempt on an outstanding challenge. Returns the
+// admin (with 2FA fields) or null if the challenge is unknown, already used or
+// out of attempts. Attempts are counted atomically so parallel requests can't
+// get more guesses than allowed.
+adminUserSchema.statics.claimTwoFactorChallengeAttempt = function(userId, challengeId) {
+  return this.findOneAndUpdate(
+    {
+      userId,
+      isActive: true,
+      'twoFactorChallenge.idHash': hashToken(challengeId),
+      'twoFactorChallenge.attempts': { $lt: authConfig.twoFactorChallengeMaxAttempts }
+    },
+    { $inc: { 'twoFactorChallenge.attempts': 1 } },
+    { new: true }
+  ).select('+twoFactorSecret +twoFactorPendingSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep +twoFactorChallenge');
+};
+
+// Method to consume a one-time recovery code
+adminUserSchema.methods.useRecoveryCode = function(code) {
+  const normalized = String(code || '').trim().toLowerCase();
+  const codeHash = hashToken(normalized);
+  const index = (this.twoFactorRecoveryCodes || []).indexOf(codeHash);
+  if (!normalized || index === -1) return false;
+
+  this.twoFactorRecoveryCodes.splice(index, 1);
+  return true;
+};
+
+// Method to replace the recovery codes; returns the plaintext codes to show once
+adminUserSchema.methods.generateRecoveryCodes = function(count = 10) {
+  const codes = Array.from({ length: count }, () => {
+    const raw = generateSecureToken(5);
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  this.twoFactorRecoveryCodes = codes.map(code => hashToken(code));
+  return codes;
+};
+
+// Method to promote the pending secret to the active one; returns fresh recovery codes
+adminUserSchema.methods.activateTwoFactor = function() {
+  this.twoFactorSecret = this.twoFactorPendingSecret;
+  this.twoFactorPendingSecret = undefined;
+  this.twoFactorEnabled = true;
+  this.twoFactorEnabledAt = new Date();
+  return this.generateRecoveryCodes();
+};
+
+// Method to switch 2FA off and forget every secret
+adminUserSchema.methods.deactivateTwoFactor = function() {
+  this.twoFactorEnabled = false;
+  this.twoFactorEnabledAt = undefined;
+  this.twoFactorSecret = undefined;
+  this.twoFactorPendingSecret = undefined;
+  this.twoFactorRecoveryCodes = [];
+  this.twoFactorLastUsedStep = undefined;
+};
+
+// Method to check whether this admin must pass 2FA to log in
+adminUserSchema.methods.isTwoFactorRequired = async function() {
+  if (this.twoFactorEnabled) return true;
+  return await SystemSetting.getValue('requireAdminTwoFactor', false);
+};
+
 // Static method to check if user is admin
 adminUserSchema.statics.isAdmin = async function(userId) {
   const admin = await this.findOne({ userId, isActive: true });
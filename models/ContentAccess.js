@@ -58,6 +58,9 @@ contentAccessSchema.statics.checkAccess = async function(userId, contentType, co
   const user = await User.findById(userId);
   
   if (!user) return false;
+
+  // Unverified emails get no content when verification is enforced
+  if (user.needsEmailVerification()) return false;
   
   // If user has active subscription, they have access to all content
   if (user.hasActiveSubscription()) {
@@ -0,0 +1,153 @@
+import mongoose from 'mongoose';
+import emailConfig from '../config/email.js';
+
+// A transactional email in the outbox. Messages are rendered when queued and
+// kept after delivery so admins can see what was sent and resend it.
+const emailMessageSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  to: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  template: {
+    type: String,
+    required: true
+  },
+  subject: {
+    type: String,
+    required: true
+  },
+  text: String,
+  html: String,
+  // Messages carrying one-time links or codes have their content removed once
+  // delivered, and cannot be resent
+  sensitive: {
+    type: Boolean,
+    default: false
+  },
+  redactedAt: Date,
+  // 'pending' - waiting for its first or next delivery attempt
+  // 'sending' - claimed by a sender
+  // 'sent' - accepted by the transport
+  // 'failed' - gave up after the maximum number of attempts
+  status: {
+    type: String,
+    enum: ['pending', 'sending', 'sent', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedAt: Date,
+  lastError: String,
+  sentAt: Date,
+  transport: String,
+  providerMessageId: String,
+  // Set on copies created by an admin resend
+  resentFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EmailMessage'
+  },
+  resentBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+emailMessageSchema.index({ status: 1, nextAttemptAt: 1 });
+emailMessageSchema.index({ userId: 1, createdAt: -1 });
+emailMessageSchema.index({ to: 1, createdAt: -1 });
+emailMessageSchema.index({ template: 1 });
+
+// Static method to claim the next message due for delivery, so concurrent
+// senders never pick up the same message
+emailMessageSchema.statics.claimNextDue = function() {
+  return this.findOneAndUpdate(
+    { status: 'pending', nextAttemptAt: { $lte: new Date() } },
+    { status: 'sending', lockedAt: new Date() },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+};
+
+// Static method to claim a specific message if it is waiting to be sent
+emailMessageSchema.statics.claim = function(id) {
+  return this.findOneAndUpdate(
+    { _id: id, status: 'pending' },
+    { status: 'sending', lockedAt: new Date() },
+    { new: true }
+  );
+};
+
+// Static method to put messages left in 'sending' (e.g. by a crash) back in the queue
+emailMessageSchema.statics.releaseStale = function() {
+  return this.updateMany(
+    { status: 'sending', lockedAt: { $lt: new Date(Date.now() - emailConfig.sendingTimeoutMs) } },
+    { status: 'pending', nextAttemptAt: new Date() }
+  );
+};
+
+// Method to record a successful delivery
+emailMessageSchema.methods.markSent = function(transportName, providerMessageId) {
+  this.status = 'sent';
+  this.attempts += 1;
+  this.sentAt = new Date();
+  this.transport = transportName;
+  this.providerMessageId = providerMessageId;
+  this.lockedAt = undefined;
+  this.lastError = undefined;
+
+  this.redactSensitiveContent();
+};
+
+// Method to record a failed delivery and schedule the next attempt with
+// exponential backoff, giving up after the configured number of attempts
+emailMessageSchema.methods.markFailed = function(error) {
+  this.attempts += 1;
+  this.lastError = error.message || String(error);
+  this.lockedAt = undefined;
+
+  if (this.attempts >= emailConfig.maxAttempts) {
+    this.status = 'failed';
+    this.redactSensitiveContent();
+  } else {
+    this.status = 'pending';
+    this.nextAttemptAt = new Date(Date.now() + emailConfig.retryBaseDelayMs * 2 ** (this.attempts - 1));
+  }
+};
+
+// Method to remove the content of a message carrying a one-time link or code
+// once it no longer needs to be sent
+emailMessageSchema.methods.redactSensitiveContent = function() {
+  if (this.sensitive && !this.redactedAt) {
+    this.text = undefined;
+    this.html = undefined;
+    this.redactedAt = new Date();
+  }
+};
+
+// Method to get the message as shown to admins. The content of sensitive
+// messages is never included, whatever their status, since it holds a live
+// link or code for the recipient's account.
+emailMessageSchema.methods.getAdminView = function() {
+  const message = this.toObject();
+  if (this.sensitive) {
+    delete message.text;
+    delete message.html;
+  }
+  return message;
+};
+
+export default mongoose.model('EmailMessage', emailMessageSchema);
@@ -0,0 +1,43 @@
+import mongoose from 'mongoose';
+
+// Server-side state for an OpenID Connect login in progress. Created when the
+// user is sent to the provider, then holds the one-time login code handed to
+// the frontend after the callback until it is exchanged for tokens.
+const oidcStateSchema = new mongoose.Schema({
+  state: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  nonce: String,
+  codeVerifier: String,
+  // Set once the callback has identified the user
+  loginCodeHash: {
+    type: String,
+    index: true,
+    sparse: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  isNewUser: {
+    type: Boolean,
+    default: false
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// MongoDB removes abandoned logins automatically
+oidcStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('OidcState', oidcStateSchema);
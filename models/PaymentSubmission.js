@@ -0,0 +1,298 @@
+import mongoose from 'mongoose';
+import paymentsConfig from '../config/payments.js';
+import { PLAN_IDS } from '../config/plans.js';
+import { getHashDistance } from '../utils/imageFingerprint.js';
+import { removeFile } from '../services/storage/index.js';
+
+export const PAYMENT_CHANNELS = ['bank_transfer', 'gcash', 'maya', 'paypal', 'card', 'cash', 'other'];
+
+// A payment proof uploaded by a user, with the details an admin needs to
+// check it against the money actually received
+const paymentSubmissionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Public URL of proofs uploaded before proofs were stored privately
+  imageUrl: {
+    type: String,
+    trim: true
+  },
+  // Where the image lives, so it can be removed or served through signed
+  // links by the storage driver that saved it
+  imageKey: {
+    type: String,
+    required: function() {
+      return !this.imageUrl;
+    }
+  },
+  storageDriver: String,
+  amount: {
+    type: Number,
+    min: 0
+  },
+  currency: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    default: 'PHP'
+  },
+  channel: {
+    type: String,
+    enum: PAYMENT_CHANNELS
+  },
+  referenceNumber: {
+    type: String,
+    trim: true
+  },
+  // Reference number with spacing and case removed, used for uniqueness checks
+  referenceKey: String,
+  payerName: {
+    type: String,
+    trim: true
+  },
+  planId: {
+    type: String,
+    enum: PLAN_IDS
+  },
+  // Fingerprints of the uploaded image
+  contentHash: String,
+  perceptualHash: String,
+  // Other accounts' submissions this one appears to reuse, found at upload time
+  duplicates: [{
+    _id: false,
+    submissionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PaymentSubmission'
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    // 'same_image' - byte-identical file
+    // 'similar_image' - perceptual hashes within the configured distance
+    reason: {
+      type: String,
+      enum: ['same_image', 'similar_image']
+    },
+    distance: Number
+  }],
+  // 'superseded' - the user uploaded a newer proof before this one was reviewed
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'superseded'],
+    default: 'pending'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  reviewNotes: {
+    type: String,
+    trim: true
+  },
+  // Why the proof was rejected, as told to the applicant, and the predefined
+  // reason it came from (if any)
+  rejectionReason: {
+    type: String,
+    trim: true
+  },
+  rejectionReasonCode: String
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+paymentSubmissionSchema.index({ userId: 1, createdAt: -1 });
+paymentSubmissionSchema.index({ status: 1 });
+paymentSubmissionSchema.index({ referenceKey: 1 });
+paymentSubmissionSchema.index({ contentHash: 1 });
+paymentSubmissionSchema.index({ createdAt: -1 });
+
+// Normalize a reference number for comparison ("ab 12-34" and "AB1234" match)
+const toReferenceKey = (referenceNumber) => {
+  return referenceNumber ? referenceNumber.replace(/[\s-]/g, '').toUpperCase() : undefined;
+};
+
+// Keep the reference key in step with the reference number
+paymentSubmissionSchema.pre('save', function(next) {
+  if (this.isModified('referenceNumber')) {
+    this.referenceKey = toReferenceKey(this.referenceNumber);
+  }
+  next();
+});
+
+// Static method to find another account's submission using the same reference number
+paymentSubmissionSchema.statics.findReferenceConflict = function(userId, referenceNumber) {
+  const referenceKey = toReferenceKey(referenceNumber);
+  if (!referenceKey) return null;
+
+  return this.findOne({ referenceKey, userId: { $ne: userId } });
+};
+
+// Static method to find other accounts' submissions that reuse the same image.
+// Exact copies are found through the contentHash index. Near matches can't be
+// indexed, so only recent submissions (for the same amount, when known) are
+// compared, and they are reported as similar rather than duplicates.
+paymentSubmissionSchema.statics.findImageDuplicates = async function(userId, { contentHash, perceptualHash, amount }) {
+  const duplicates = [];
+  const seen = new Set();
+
+  if (contentHash) {
+    const copies = await this.find({ userId: { $ne: userId }, contentHash })
+      .select('userId');
+    for (const other of copies) {
+      seen.add(other._id.toString());
+      duplicates.push({ submissionId: other._id, userId: other.userId, reason: 'same_image', distance: 0 });
+    }
+  }
+
+  if (perceptualHash) {
+    const { similarProofWindowDays, similarProofScanLimit, similarProofMaxDistance } = paymentsConfig;
+    const filters = {
+      userId: { $ne: userId },
+      perceptualHash: { $exists: true },
+      createdAt: { $gte: new Date(Date.now() - similarProofWindowDays * 24 * 60 * 60 * 1000) }
+    };
+    if (amount !== undefined) {
+      filters.amount = { $in: [amount, null] };
+    }
+
+    const candidates = await this.find(filters)
+      .select('userId perceptualHash')
+      .sort({ createdAt: -1 })
+      .limit(similarProofScanLimit);
+
+    for (const other of candidates) {
+      if (seen.has(other._id.toString())) continue;
+
+      const distance = getHashDistance(perceptualHash, other.perceptualHash);
+      if (distance <= similarProofMaxDistance) {
+        duplicates.push({ submissionId: other._id, userId: other.userId, reason: 'similar_image', distance });
+      }
+    }
+  }
+
+  return duplicates;
+};
+
+// Method to count the other accounts' submissions this one copies exactly
+// ('duplicate') and those it only looks like ('similar')
+paymentSubmissionSchema.methods.countImageMatches = function() {
+  const similar = this.duplicates.filter(duplicate => duplicate.reason === 'similar_image').length;
+  return { duplicate: this.duplicates.length - similar, similar };
+};
+
+// Static method to record a new submission, superseding any still awaiting review
+// and flagging any other account's submission that used the same image
+paymentSubmissionSchema.statics.submit = async function(userId, details) {
+  const duplicates = await this.findImageDuplicates(userId, details);
+
+  await this.updateMany(
+    { userId, status: 'pending' },
+    { status: 'superseded' }
+  );
+
+  return this.create({ userId, ...details, duplicates });
+};
+
+// Static method to get a user's most recent submission
+paymentSubmissionSchema.statics.findLatestForUser = function(userId) {
+  return this.findOne({ userId }).sort({ createdAt: -1 });
+};
+
+// Static method to get the most recent submission for each of several users
+paymentSubmissionSchema.statics.findLatestForUsers = async function(userIds) {
+  const submissions = await this.aggregate([
+    { $match: { userId: { $in: userIds } } },
+    { $sort: { createdAt: -1 } },
+    {
+      $group: {
+        _id: '$userId',
+        latest: { $first: '$$ROOT' },
+        count: { $sum: 1 }
+      }
+    },
+    // Images are only handed out through the signed payment proof endpoint
+    { $project: { 'latest.imageUrl': 0, 'latest.imageKey': 0 } }
+  ]);
+
+  return new Map(submissions.map(entry => [
+    entry._id.toString(),
+    { ...entry.latest, submissionCount: entry.count }
+  ]));
+};
+
+// Static method to estimate how long a review takes: the median time from
+// upload to decision over the most recent reviews
+paymentSubmissionSchema.statics.estimateReviewTimeMs = async function() {
+  const reviewed = await this.find({ status: { $in: ['approved', 'rejected'] }, reviewedAt: { $exists: true } })
+    .sort({ reviewedAt: -1 })
+    .limit(paymentsConfig.reviewTimeSampleSize)
+    .select('createdAt reviewedAt')
+    .lean();
+
+  if (reviewed.length < paymentsConfig.reviewTimeMinSamples) {
+    return paymentsConfig.defaultReviewTimeHours * 60 * 60 * 1000;
+  }
+
+  const durations = reviewed
+    .map(submission => submission.reviewedAt - submission.createdAt)
+    .sort((a, b) => a - b);
+  const middle = Math.floor(durations.length / 2);
+
+  return durations.length % 2
+    ? durations[middle]
+    : Math.round((durations[middle - 1] + durations[middle]) / 2);
+};
+
+// Static method to delete the stored images of all of a user's submissions
+// (the records themselves are left to the caller)
+paymentSubmissionSchema.statics.removeImagesForUser = async function(userId) {
+  const submissions = await this.find({ userId, imageKey: { $exists: true } })
+    .select('imageKey storageDriver');
+
+  for (const submission of submissions) {
+    try {
+      await removeFile(submission.imageKey, submission.storageDriver);
+    } catch (error) {
+      console.error(`Failed to remove payment proof ${submission._id}:`, error);
+    }
+  }
+};
+
+// Method to record an admin's decision
+paymentSubmissionSchema.methods.review = function(status, reviewer, notes, rejection = {}) {
+  this.status = status;
+  this.reviewedBy = reviewer;
+  this.reviewedAt = new Date();
+  if (notes) {
+    this.reviewNotes = notes;
+  }
+  if (status === 'rejected') {
+    this.rejectionReason = rejection.reason;
+    this.rejectionReasonCode = rejection.code;
+  }
+};
+
+// Method to get the submission as shown to the user who made it
+// (review internals such as duplicate flags stay admin-only)
+paymentSubmissionSchema.methods.getPublicInfo = function() {
+  return {
+    id: this._id,
+    amount: this.amount,
+    currency: this.currency,
+    channel: this.channel,
+    referenceNumber: this.referenceNumber,
+    payerName: this.payerName,
+    planId: this.planId,
+    status: this.status,
+    rejectionReason: this.rejectionReason,
+    reviewedAt: this.reviewedAt,
+    createdAt: this.createdAt
+  };
+};
+
+export default mongoose.model('PaymentSubmission', paymentSubmissionSchema);
@@ -0,0 +1,72 @@
+import mongoose from 'mongoose';
+
+const refreshTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  jti: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // All tokens produced by rotating the same login share a family
+  family: {
+    type: String,
+    required: true
+  },
+  // Whether the login that started this family passed two-factor authentication
+  mfa: {
+    type: Boolean,
+    default: false
+  },
+  usedAt: Date,
+  replacedBy: String,
+  revokedAt: Date,
+  revokedReason: String,
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  ipAddress: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance (jti index is automatically created by unique: true)
+refreshTokenSchema.index({ family: 1 });
+refreshTokenSchema.index({ userId: 1 });
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Atomically mark a token as used; returns null if it was already used or revoked
+refreshTokenSchema.statics.consume = async function(jti) {
+  return await this.findOneAndUpdate(
+    { jti, usedAt: null, revokedAt: null },
+    { usedAt: new Date() },
+    { new: true }
+  );
+};
+
+// Static method to revoke every token in a family
+refreshTokenSchema.statics.revokeFamily = async function(family, reason) {
+  return await this.updateMany(
+    { family, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+// Static method to revoke every token belonging to a user
+refreshTokenSchema.statics.revokeAllForUser = async function(userId, reason) {
+  return await this.updateMany(
+    { userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+export default mongoose.model('RefreshToken', refreshTokenSchema);
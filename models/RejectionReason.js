@@ -0,0 +1,43 @@
+import mongoose from 'mongoose';
+
+// A predefined reason admins can pick when rejecting a registration. The
+// message is what the applicant is told; the label is for the admin list.
+const rejectionReasonSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  label: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  message: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Retired reasons are kept so past rejections still resolve
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+rejectionReasonSchema.index({ isActive: 1 });
+
+export default mongoose.model('RejectionReason', rejectionReasonSchema);
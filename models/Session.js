@@ -0,0 +1,105 @@
+import mongoose from 'mongoose';
+import RefreshToken from './RefreshToken.js';
+
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Refresh token family backing this session
+  refreshFamily: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  ipAddress: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  },
+  deviceLabel: {
+    type: String,
+    trim: true
+  },
+  // Admin panel sessions are exempt from the concurrent session limit
+  kind: {
+    type: String,
+    enum: ['user', 'admin'],
+    default: 'user'
+  },
+  mfa: {
+    type: Boolean,
+    default: false
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastIpAddress: {
+    type: String
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedReason: String
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance (refreshFamily index is automatically created by unique: true)
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual to check if session can still be used
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Method to end the session and every refresh token behind it
+sessionSchema.methods.revoke = async function(reason) {
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  await this.save();
+  await RefreshToken.revokeFamily(this.refreshFamily, reason);
+};
+
+// Method to get session info safe to show to the account owner
+sessionSchema.methods.getPublicInfo = function(currentSessionId) {
+  return {
+    id: this._id,
+    deviceLabel: this.deviceLabel,
+    ipAddress: this.lastIpAddress || this.ipAddress,
+    userAgent: this.userAgent,
+    createdAt: this.createdAt,
+    lastSeenAt: this.lastSeenAt,
+    current: !!currentSessionId && this._id.toString() === currentSessionId.toString()
+  };
+};
+
+// Static method to get a user's active sessions, most recently used first
+sessionSchema.statics.findActiveForUser = async function(userId, filters = {}) {
+  return await this.find({
+    ...filters,
+    userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastSeenAt: -1 });
+};
+
+// Static method to revoke every active session of a user, optionally keeping one
+sessionSchema.statics.revokeAllForUser = async function(userId, reason, exceptSessionId) {
+  const filters = { userId, revokedAt: null };
+  if (exceptSessionId) filters._id = { $ne: exceptSessionId };
+
+  const sessions = await this.find(filters);
+  for (const session of sessions) {
+    await session.revoke(reason);
+  }
+  return sessions.length;
+};
+
+export default mongoose.model('Session', sessionSchema);
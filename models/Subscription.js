@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import plansConfig, { PLAN_IDS, getPlan } from '../config/plans.js';
 
 const subscriptionSchema = new mongoose.Schema({
   userId: {
@@ -9,7 +10,7 @@ const subscriptionSchema = new mongoose.Schema({
   planId: {
     type: String,
     required: true,
-    enum: ['premium_monthly', 'premium_yearly', 'enterprise_monthly', 'enterprise_yearly']
+    enum: PLAN_IDS
   },
   status: {
     type: String,
@@ -54,6 +55,16 @@ const subscriptionSchema = new mongoose.Schema({
     enum: ['month', 'year'],
     required: true
   },
+  // The verified payment proof this subscription was granted for
+  paymentSubmissionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PaymentSubmission'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  expiryReminderSentAt: Date,
   metadata: {
     type: Map,
     of: String
@@ -66,6 +77,13 @@ const subscriptionSchema = new mongoose.Schema({
 subscriptionSchema.index({ userId: 1 });
 subscriptionSchema.index({ status: 1 });
 subscriptionSchema.index({ currentPeriodEnd: 1 });
+// A payment proof can back at most one active subscription, so concurrent
+// approvals of the same registration cannot both grant one
+subscriptionSchema.index({ paymentSubmissionId: 1 }, {
+  unique: true,
+  name: 'paymentSubmissionId_active_unique',
+  partialFilterExpression: { status: 'active', paymentSubmissionId: { $exists: true } }
+});
 
 // Virtual to check if subscription is active
 subscriptionSchema.virtual('isActive').get(function() {
@@ -93,8 +111,64 @@ subscriptionSchema.methods.getDaysUntilExpiry = function() {
   return Math.ceil(diffTime / (1000 * 60 * 60 * 24));
 };
 
-// Pre-save middleware to update user subscription status
+// Static method to work out when a billing period starting at `start` ends
+subscriptionSchema.statics.calculatePeriodEnd = function(start, interval) {
+  const end = new Date(start);
+  if (interval === 'month') {
+    end.setMonth(end.getMonth() + 1);
+  } else {
+    end.setFullYear(end.getFullYear() + 1);
+  }
+  // Jan 31 + 1 month would roll over into March; end on the last day of February instead
+  if (end.getDate() !== new Date(start).getDate()) {
+    end.setDate(0);
+  }
+  return end;
+};
+
+// Static method to work out the plan, amount and billing period for a
+// subscription paid by manual payment proof. Admin overrides win; otherwise
+// the plan the applicant picked (or the default plan) sets the period, and
+// the amount actually paid is used when the applicant reported it in the
+// plan's currency. A payment in another currency keeps the plan's price, since
+// the two amounts can't be compared.
+subscriptionSchema.statics.buildTermsForPayment = function(paymentSubmission, overrides = {}) {
+  const planId = overrides.planId || paymentSubmission?.planId || plansConfig.defaultPlanId;
+  const plan = getPlan(planId);
+
+  const currentPeriodStart = overrides.currentPeriodStart ? new Date(overrides.currentPeriodStart) : new Date();
+  const currentPeriodEnd = overrides.currentPeriodEnd
+    ? new Date(overrides.currentPeriodEnd)
+    : this.calculatePeriodEnd(currentPeriodStart, plan.interval);
+
+  const paidAmount = paymentSubmission?.amount;
+  let amount = plan.amount;
+  let currency = plan.currency;
+  if (overrides.amount !== undefined && overrides.amount !== null) {
+    amount = overrides.amount;
+    currency = overrides.currency || currency;
+  } else if (paidAmount !== undefined && paidAmount !== null &&
+             paymentSubmission.currency?.toLowerCase() === plan.currency.toLowerCase()) {
+    amount = Math.round(paidAmount * 100);
+  }
+
+  return {
+    planId,
+    tier: plan.tier,
+    interval: plan.interval,
+    currentPeriodStart,
+    currentPeriodEnd,
+    amount,
+    currency: currency.toLowerCase()
+  };
+};
+
+// Pre-save middleware to update user subscription status. Callers that update
+// the user themselves (such as registration approval) set
+// $locals.skipUserSync so the user is only written once.
 subscriptionSchema.pre('save', async function(next) {
+  if (this.$locals.skipUserSync) return next();
+
   if (this.isModified('status') || this.isNew) {
     try {
       const User = mongoose.model('User');
@@ -0,0 +1,36 @@
+import mongoose from 'mongoose';
+
+const systemSettingSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  value: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to read a setting, falling back to a default when unset
+systemSettingSchema.statics.getValue = async function(key, defaultValue = null) {
+  const setting = await this.findOne({ key });
+  return setting ? setting.value : defaultValue;
+};
+
+// Static method to create or update a setting
+systemSettingSchema.statics.setValue = async function(key, value, updatedBy) {
+  return await this.findOneAndUpdate(
+    { key },
+    { value, updatedBy },
+    { upsert: true, new: true }
+  );
+};
+
+export default mongoose.model('SystemSetting', systemSettingSchema);
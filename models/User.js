@@ -1,5 +1,7 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import authConfig from '../config/auth.js';
+import { generateSecureToken, generateNumericCode, hashToken } from '../utils/tokens.js';
 
 const userSchema = new mongoose.Schema({
   email: {
@@ -9,10 +11,21 @@ const userSchema = new mongoose.Schema({
     lowercase: true,
     trim: true
   },
+  // Strength rules live in authConfig.passwordPolicy and are checked where
+  // passwords are set (utils/passwordPolicy.js)
   password: {
     type: String,
-    required: true,
-    minlength: 6
+    required: true
+  },
+  passwordChangedAt: Date,
+  // Hashes of previous passwords, newest first, used to prevent reuse
+  passwordHistory: {
+    type: [{
+      _id: false,
+      hash: String,
+      changedAt: Date
+    }],
+    select: false
   },
   fullName: {
     type: String,
@@ -34,23 +47,82 @@ const userSchema = new mongoose.Schema({
     default: false
   },
   emailVerificationToken: String,
+  emailVerificationExpires: Date,
+  // Pending email change; both addresses must confirm before email is updated
+  emailChange: {
+    newEmail: {
+      type: String,
+      lowercase: true,
+      trim: true
+    },
+    oldEmailToken: String,
+    newEmailToken: String,
+    oldEmailConfirmedAt: Date,
+    newEmailConfirmedAt: Date,
+    expiresAt: Date
+  },
   passwordResetToken: String,
   passwordResetExpires: Date,
+  // Passwordless login: a magic link token and a 6-digit code, both single-use
+  loginCode: {
+    tokenHash: String,
+    codeHash: String,
+    expiresAt: Date,
+    attempts: {
+      type: Number,
+      default: 0
+    }
+  },
   lastLogin: Date,
   loginAttempts: {
     type: Number,
     default: 0
   },
   lockUntil: Date,
+  // Number of lockouts since the last successful login (drives the backoff)
+  lockCount: {
+    type: Number,
+    default: 0
+  },
+  // Incremented to invalidate every token issued before the change
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
   // New fields for payment verification
   mobileNumber: {
     type: String,
     trim: true
   },
+  mobileVerified: {
+    type: Boolean,
+    default: false
+  },
+  mobileVerifiedAt: Date,
+  // Pending SMS verification code for mobileNumber
+  mobileVerification: {
+    codeHash: String,
+    sentAt: Date,
+    expiresAt: Date,
+    attempts: {
+      type: Number,
+      default: 0
+    }
+  },
+  // Public proof URL from before proofs were stored privately; proofs and
+  // their details are now kept only as PaymentSubmission records
   paymentProofUrl: {
     type: String,
     trim: true
   },
+  // When the latest payment proof was submitted
+  paymentProofSubmittedAt: Date,
+  // Lets a user without a usable password upload a new payment proof
+  paymentResubmitToken: String,
+  paymentResubmitExpires: Date,
+  // Lets an applicant who cannot sign in yet check on their registration
+  registrationStatusToken: String,
+  registrationStatusTokenExpires: Date,
   paymentStatus: {
     type: String,
     enum: ['pending', 'verified', 'rejected'],
@@ -65,7 +137,29 @@ const userSchema = new mongoose.Schema({
   adminNotes: {
     type: String,
     trim: true
-  }
+  },
+  // External sign-in identities (OpenID Connect) linked to this account
+  identities: [{
+    _id: false,
+    provider: {
+      type: String,
+      required: true
+    },
+    subject: {
+      type: String,
+      required: true
+    },
+    email: String,
+    linkedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Self-service deletion: the account is erased once deletionScheduledFor passes
+  deletionRequestedAt: Date,
+  deletionScheduledFor: Date,
+  // Set when the account has been anonymized after deletion
+  anonymizedAt: Date
 }, {
   timestamps: true
 });
@@ -75,6 +169,12 @@ userSchema.index({ subscriptionStatus: 1 });
 userSchema.index({ subscriptionTier: 1 });
 userSchema.index({ registrationStatus: 1 });
 userSchema.index({ paymentStatus: 1 });
+userSchema.index({ deletionScheduledFor: 1 }, { sparse: true });
+userSchema.index({ mobileNumber: 1 });
+userSchema.index(
+  { 'identities.provider': 1, 'identities.subject': 1 },
+  { unique: true, partialFilterExpression: { 'identities.subject': { $exists: true } } }
+);
 
 // Virtual for checking if account is locked
 userSchema.virtual('isLocked').get(function() {
@@ -83,6 +183,10 @@ userSchema.virtual('isLocked').get(function() {
 
 // Pre-save middleware to hash password
 userSchema.pre('save', async function(next) {
+  if (this.isNew && !this.passwordChangedAt) {
+    this.passwordChangedAt = new Date();
+  }
+
   if (!this.isModified('password')) return next();
   
   try {
@@ -97,26 +201,23 @@ userSchema.pre('save', async function(next) {
 // Method to compare password
 userSchema.methods.comparePassword = async function(candidatePassword) {
   if (this.isLocked) {
-    throw new Error('Account is temporarily locked due to too many failed login attempts');
+    const error = new Error('Account is temporarily locked due to too many failed login attempts');
+    error.code = 'ACCOUNT_LOCKED';
+    error.lockUntil = this.lockUntil;
+    throw error;
   }
   
   const isMatch = await bcrypt.compare(candidatePassword, this.password);
   
   if (!isMatch) {
-    this.loginAttempts += 1;
-    
-    // Lock account after 5 failed attempts for 2 hours
-    if (this.loginAttempts >= 5) {
-      this.lockUntil = Date.now() + 2 * 60 * 60 * 1000; // 2 hours
-    }
-    
-    await this.save();
+    await this.registerFailedLogin();
     return false;
   }
   
   // Reset login attempts on successful login
-  if (this.loginAttempts > 0) {
+  if (this.loginAttempts > 0 || this.lockCount > 0) {
     this.loginAttempts = 0;
+    this.lockCount = 0;
     this.lockUntil = undefined;
     this.lastLogin = new Date();
     await this.save();
@@ -125,12 +226,286 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return true;
 };
 
+// Method to replace the password, keeping the old hash in the password history.
+// The document must be loaded with +passwordHistory so earlier entries are kept.
+userSchema.methods.setPassword = function(password) {
+  const keep = authConfig.passwordPolicy.historySize - 1;
+  if (this.password && keep > 0) {
+    this.passwordHistory = [
+      { hash: this.password, changedAt: this.passwordChangedAt || this.createdAt },
+      ...(this.passwordHistory || [])
+    ].slice(0, keep);
+  }
+
+  this.password = password;
+  this.passwordChangedAt = new Date();
+};
+
+// Method to record a failed login attempt, locking the account with
+// progressive backoff once too many attempts have failed
+userSchema.methods.registerFailedLogin = async function() {
+  const { maxAttempts, baseDurationMs, maxDurationMs } = authConfig.lockout;
+
+  // An expired lock starts a fresh round of attempts
+  if (this.lockUntil && this.lockUntil <= Date.now()) {
+    this.loginAttempts = 0;
+    this.lockUntil = undefined;
+  }
+
+  this.loginAttempts += 1;
+
+  if (this.loginAttempts >= maxAttempts) {
+    const duration = Math.min(baseDurationMs * 2 ** this.lockCount, maxDurationMs);
+    this.lockUntil = new Date(Date.now() + duration);
+    this.lockCount += 1;
+  }
+
+  await this.save();
+};
+
+// Method to clear a lockout (used by admins and password resets)
+userSchema.methods.unlock = function() {
+  this.loginAttempts = 0;
+  this.lockCount = 0;
+  this.lockUntil = undefined;
+};
+
+// Method to create a single-use password reset token (only the hash is stored)
+userSchema.methods.createPasswordResetToken = function() {
+  const resetToken = generateSecureToken();
+  this.passwordResetToken = hashToken(resetToken);
+  this.passwordResetExpires = new Date(Date.now() + authConfig.passwordResetTokenTtlMs);
+  return resetToken;
+};
+
+// Method to create an email verification token (only the hash is stored)
+userSchema.methods.createEmailVerificationToken = function() {
+  const verificationToken = generateSecureToken();
+  this.emailVerificationToken = hashToken(verificationToken);
+  this.emailVerificationExpires = new Date(Date.now() + authConfig.emailVerificationTokenTtlMs);
+  return verificationToken;
+};
+
+// Method to issue a passwordless login link token and code (only hashes are stored)
+userSchema.methods.createLoginCode = function() {
+  const token = generateSecureToken();
+  const code = generateNumericCode();
+
+  this.loginCode = {
+    tokenHash: hashToken(token),
+    codeHash: hashToken(code),
+    expiresAt: new Date(Date.now() + authConfig.loginCodeTtlMs),
+    attempts: 0
+  };
+
+  return { token, code };
+};
+
+// Method to check a passwordless login link token or code against the one issued
+userSchema.methods.verifyLoginCode = function({ token, code }) {
+  const loginCode = this.loginCode;
+  if (!loginCode?.expiresAt || loginCode.expiresAt <= Date.now()) {
+    return false;
+  }
+
+  if (token) {
+    return hashToken(token) === loginCode.tokenHash;
+  }
+  return !!code && hashToken(code) === loginCode.codeHash;
+};
+
+// Method to change the mobile number; a new number has to be verified again
+userSchema.methods.setMobileNumber = function(mobileNumber) {
+  if (mobileNumber === this.mobileNumber) return;
+
+  this.mobileNumber = mobileNumber;
+  this.mobileVerified = false;
+  this.mobileVerifiedAt = undefined;
+  this.mobileVerification = undefined;
+};
+
+// Method to issue an SMS verification code for the current mobile number
+userSchema.methods.createMobileVerificationCode = function() {
+  const code = generateNumericCode();
+
+  this.mobileVerification = {
+    codeHash: hashToken(code),
+    sentAt: new Date(),
+    expiresAt: new Date(Date.now() + authConfig.mobileVerification.codeTtlMs),
+    attempts: 0
+  };
+
+  return code;
+};
+
+// Method to check an SMS verification code; marks the number verified on success
+userSchema.methods.verifyMobileCode = function(code) {
+  const pending = this.mobileVerification;
+  if (!pending?.expiresAt || pending.expiresAt <= Date.now()) {
+    return false;
+  }
+
+  if (hashToken(code) !== pending.codeHash) {
+    pending.attempts += 1;
+    if (pending.attempts >= authConfig.mobileVerification.codeMaxAttempts) {
+      this.mobileVerification = undefined;
+    }
+    return false;
+  }
+
+  this.mobileVerified = true;
+  this.mobileVerifiedAt = new Date();
+  this.mobileVerification = undefined;
+  return true;
+};
+
+// Method to link an external sign-in identity to this account
+userSchema.methods.linkIdentity = function({ provider, subject, email }) {
+  const existing = this.identities.find(identity => identity.provider === provider);
+  if (existing) {
+    existing.subject = subject;
+    existing.email = email;
+    existing.linkedAt = new Date();
+  } else {
+    this.identities.push({ provider, subject, email });
+  }
+};
+
+// Method to create a payment proof resubmission token (only the hash is stored)
+userSchema.methods.createPaymentResubmitToken = function() {
+  const resubmitToken = generateSecureToken();
+  this.paymentResubmitToken = hashToken(resubmitToken);
+  this.paymentResubmitExpires = new Date(Date.now() + authConfig.paymentResubmitTokenTtlMs);
+  return resubmitToken;
+};
+
+// Method to check a payment proof resubmission token
+userSchema.methods.verifyPaymentResubmitToken = function(token) {
+  return !!this.paymentResubmitToken &&
+    this.paymentResubmitExpires > Date.now() &&
+    hashToken(token) === this.paymentResubmitToken;
+};
+
+// Method to create a token for looking up the registration status without signing in
+userSchema.methods.createRegistrationStatusToken = function() {
+  const statusToken = generateSecureToken();
+  this.registrationStatusToken = hashToken(statusToken);
+  this.registrationStatusTokenExpires = new Date(Date.now() + authConfig.registrationStatusTokenTtlMs);
+  return statusToken;
+};
+
+// Method to check a registration status token
+userSchema.methods.verifyRegistrationStatusToken = function(token) {
+  return !!this.registrationStatusToken &&
+    this.registrationStatusTokenExpires > Date.now() &&
+    hashToken(token) === this.registrationStatusToken;
+};
+
+// Method to check whether the user may upload a new payment proof
+userSchema.methods.canResubmitPaymentProof = function() {
+  return ['pending_payment', 'rejected'].includes(this.registrationStatus);
+};
+
+// Method to record that a new payment proof was submitted and send the
+// registration back for review (the proof itself is a PaymentSubmission)
+userSchema.methods.submitPaymentProof = function() {
+  this.paymentProofUrl = undefined;
+  this.paymentProofSubmittedAt = new Date();
+  this.registrationStatus = 'payment_submitted';
+  this.paymentStatus = 'pending';
+  this.paymentResubmitToken = undefined;
+  this.paymentResubmitExpires = undefined;
+};
+
+// Method to start an email change; returns the confirmation tokens for both addresses
+userSchema.methods.createEmailChangeRequest = function(newEmail) {
+  const oldEmailToken = generateSecureToken();
+  const newEmailToken = generateSecureToken();
+
+  this.emailChange = {
+    newEmail,
+    oldEmailToken: hashToken(oldEmailToken),
+    newEmailToken: hashToken(newEmailToken),
+    expiresAt: new Date(Date.now() + authConfig.emailChangeTokenTtlMs)
+  };
+
+  return { oldEmailToken, newEmailToken };
+};
+
+// Method to schedule the account for deletion after the cooling-off period
+userSchema.methods.requestDeletion = function() {
+  this.deletionRequestedAt = new Date();
+  this.deletionScheduledFor = new Date(Date.now() + authConfig.accountDeletionGraceMs);
+};
+
+// Method to cancel a pending deletion
+userSchema.methods.cancelDeletion = function() {
+  this.deletionRequestedAt = undefined;
+  this.deletionScheduledFor = undefined;
+};
+
+// Method to strip personal data while keeping the record for reporting.
+// The email is replaced with a unique placeholder and the password with a
+// random secret, so the account can no longer be signed in to.
+userSchema.methods.anonymize = function() {
+  this.email = `deleted-${this._id}@deleted.invalid`;
+  this.fullName = 'Deleted User';
+  this.password = generateSecureToken();
+  this.passwordHistory = undefined;
+  this.identities = [];
+  this.mobileNumber = undefined;
+  this.mobileVerified = false;
+  this.mobileVerifiedAt = undefined;
+  this.mobileVerification = undefined;
+  this.paymentProofUrl = undefined;
+  this.paymentProofSubmittedAt = undefined;
+  this.paymentResubmitToken = undefined;
+  this.paymentResubmitExpires = undefined;
+  this.registrationStatusToken = undefined;
+  this.registrationStatusTokenExpires = undefined;
+  this.adminNotes = undefined;
+  this.isEmailVerified = false;
+  this.emailVerificationToken = undefined;
+  this.emailVerificationExpires = undefined;
+  this.emailChange = undefined;
+  this.passwordResetToken = undefined;
+  this.passwordResetExpires = undefined;
+  this.loginCode = undefined;
+  this.lastLogin = undefined;
+  this.subscriptionStatus = 'cancelled';
+  this.deletionRequestedAt = undefined;
+  this.deletionScheduledFor = undefined;
+  this.anonymizedAt = new Date();
+};
+
+// Method to check if the email verification policy currently restricts this user
+userSchema.methods.needsEmailVerification = function() {
+  return authConfig.emailVerificationRequired !== 'none' && !this.isEmailVerified;
+};
+
 // Method to check if user has active subscription
 userSchema.methods.hasActiveSubscription = function() {
   return this.subscriptionStatus === 'active' && 
          ['premium', 'enterprise'].includes(this.subscriptionTier);
 };
 
+// Static method to find the account linked to an external sign-in identity
+userSchema.statics.findByIdentity = function(provider, subject) {
+  return this.findOne({ identities: { $elemMatch: { provider, subject } } });
+};
+
+// Static method to check whether a mobile number is claimed by another account
+// under the configured uniqueness policy
+userSchema.statics.isMobileNumberTaken = async function(mobileNumber, excludeUserId) {
+  const { uniqueness } = authConfig.mobileVerification;
+  if (!mobileNumber || uniqueness === 'none') return false;
+
+  const query = { mobileNumber, _id: { $ne: excludeUserId } };
+  if (uniqueness === 'verified') query.mobileVerified = true;
+
+  return !!(await this.exists(query));
+};
+
 // Method to get user profile (without sensitive data)
 userSchema.methods.getPublicProfile = function() {
   return {
@@ -138,12 +513,17 @@ userSchema.methods.getPublicProfile = function() {
     email: this.email,
     fullName: this.fullName,
     mobileNumber: this.mobileNumber,
+    mobileVerified: this.mobileVerified,
+    mobileVerifiedAt: this.mobileVerifiedAt,
     subscriptionTier: this.subscriptionTier,
     subscriptionStatus: this.subscriptionStatus,
     isEmailVerified: this.isEmailVerified,
+    pendingEmail: this.emailChange?.newEmail,
+    linkedProviders: (this.identities || []).map(identity => identity.provider),
     paymentStatus: this.paymentStatus,
     registrationStatus: this.registrationStatus,
     paymentVerificationDate: this.paymentVerificationDate,
+    deletionScheduledFor: this.deletionScheduledFor,
     createdAt: this.createdAt,
     lastLogin: this.lastLogin
   };
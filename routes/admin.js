@@ -1,9 +1,31 @@
 import express from 'express';
+import crypto from 'crypto';
 import AdminUser from '../models/AdminUser.js';
 import User from '../models/User.js';
 import AuditLog from '../models/AuditLog.js';
-import { authenticateAdmin, requirePermission } from '../middleware/auth.js';
-import { validateAdminCreate, validatePagination, validateUserRegistration } from '../middleware/validation.js';
+import SystemSetting from '../models/SystemSetting.js';
+import PaymentSubmission from '../models/PaymentSubmission.js';
+import EmailMessage from '../models/EmailMessage.js';
+import RejectionReason from '../models/RejectionReason.js';
+import { authenticateAdmin, requirePermission, requireRole } from '../middleware/auth.js';
+import { getSignedFileUrl } from '../services/storage/index.js';
+import { resolveRejection, reviewRegistration, reviewRegistrations } from '../services/registrationReview.js';
+import {
+  listTemplates,
+  getTemplateNames,
+  renderTemplate,
+  resendEmailMessage
+} from '../services/email/index.js';
+import {
+  validateAdminCreate,
+  validatePagination,
+  validatePaymentProofQuery,
+  validateUserRegistration,
+  validateRegistrationDecision,
+  validateBulkRegistrationDecision,
+  validateRejectionReasonCreate,
+  validateRejectionReasonUpdate
+} from '../middleware/validation.js';
 
 const router = express.Router();
 
@@ -237,6 +259,83 @@ router.delete('/:id',
   }
 );
 
+// Get security settings
+router.get('/settings/security', 
+  authenticateAdmin, 
+  requirePermission('system_settings'),
+  async (req, res) => {
+    try {
+      const requireAdminTwoFactor = await SystemSetting.getValue('requireAdminTwoFactor', false);
+      const adminsWithoutTwoFactor = await AdminUser.countDocuments({
+        isActive: true,
+        twoFactorEnabled: { $ne: true }
+      });
+
+      res.json({
+        success: true,
+        data: {
+          requireAdminTwoFactor,
+          adminsWithoutTwoFactor
+        }
+      });
+    } catch (error) {
+      console.error('Get security settings error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch security settings'
+      });
+    }
+  }
+);
+
+// Update security settings (super admin only)
+router.put('/settings/security', 
+  authenticateAdmin, 
+  requireRole('super_admin'),
+  async (req, res) => {
+    try {
+      const { requireAdminTwoFactor } = req.body;
+
+      if (typeof requireAdminTwoFactor !== 'boolean') {
+        return res.status(400).json({
+          success: false,
+          message: 'requireAdminTwoFactor must be a boolean'
+        });
+      }
+
+      const oldValue = await SystemSetting.getValue('requireAdminTwoFactor', false);
+      await SystemSetting.setValue('requireAdminTwoFactor', requireAdminTwoFactor, req.user._id);
+
+      // Log settings change
+      await AuditLog.logEvent({
+        userId: req.user._id,
+        action: 'security_settings_updated',
+        resourceType: 'system',
+        details: { 
+          oldData: { requireAdminTwoFactor: oldValue },
+          newData: { requireAdminTwoFactor },
+          updatedBy: req.user.email
+        },
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent'),
+        severity: 'critical'
+      });
+
+      res.json({
+        success: true,
+        message: 'Security settings updated successfully',
+        data: { requireAdminTwoFactor }
+      });
+    } catch (error) {
+      console.error('Update security settings error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update security settings'
+      });
+    }
+  }
+);
+
 // Get admin dashboard stats
 router.get('/dashboard/stats', 
   authenticateAdmin, 
@@ -342,6 +441,107 @@ router.get('/audit-logs',
   }
 );
 
+// Report accounts that keep hitting the concurrent session limit
+router.get('/reports/session-limits', 
+  authenticateAdmin, 
+  requirePermission('user_management'),
+  validatePagination,
+  async (req, res) => {
+    try {
+      const { page = 1, limit = 20, days = 30, minEvents = 3 } = req.query;
+      const skip = (page - 1) * limit;
+
+      const since = new Date();
+      since.setDate(since.getDate() - (parseInt(days) || 30));
+
+      const pipeline = [
+        {
+          $match: {
+            action: { $in: ['session_evicted', 'session_limit_refused'] },
+            createdAt: { $gte: since }
+          }
+        },
+        {
+          $group: {
+            _id: '$userId',
+            totalEvents: { $sum: 1 },
+            evictions: { $sum: { $cond: [{ $eq: ['$action', 'session_evicted'] }, 1, 0] } },
+            refusals: { $sum: { $cond: [{ $eq: ['$action', 'session_limit_refused'] }, 1, 0] } },
+            distinctIpAddresses: { $addToSet: '$ipAddress' },
+            firstEventAt: { $min: '$createdAt' },
+            lastEventAt: { $max: '$createdAt' }
+          }
+        },
+        { $match: { totalEvents: { $gte: parseInt(minEvents) || 1 } } }
+      ];
+
+      const [{ accounts, total }] = await AuditLog.aggregate([
+        ...pipeline,
+        {
+          $facet: {
+            accounts: [
+              { $sort: { totalEvents: -1, lastEventAt: -1 } },
+              { $skip: skip },
+              { $limit: parseInt(limit) },
+              {
+                $lookup: {
+                  from: User.collection.name,
+                  localField: '_id',
+                  foreignField: '_id',
+                  as: 'user'
+                }
+              },
+              { $unwind: { path: '$user', preserveNullAndEmptyArrays: true } },
+              {
+                $project: {
+                  _id: 0,
+                  userId: '$_id',
+                  email: '$user.email',
+                  fullName: '$user.fullName',
+                  subscriptionTier: '$user.subscriptionTier',
+                  totalEvents: 1,
+                  evictions: 1,
+                  refusals: 1,
+                  distinctIpCount: { $size: '$distinctIpAddresses' },
+                  firstEventAt: 1,
+                  lastEventAt: 1
+                }
+              }
+            ],
+            total: [{ $count: 'count' }]
+          }
+        },
+        {
+          $project: {
+            accounts: 1,
+            total: { $ifNull: [{ $arrayElemAt: ['$total.count', 0] }, 0] }
+          }
+        }
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          accounts,
+          since,
+          pagination: {
+            page: parseInt(page),
+            limit: parseInt(limit),
+            total,
+            pages: Math.ceil(total / limit)
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Get session limit report error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch session limit report'
+      });
+    }
+  }
+);
+
 // Create new user (admin only)
 router.post('/users', 
   authenticateAdmin, 
@@ -497,20 +697,21 @@ router.put('/users/:id/subscription',
   }
 );
 
-// Get pending registrations (payment verification)
-router.get('/pending-registrations', 
+// Get locked user accounts
+router.get('/users/locked', 
   authenticateAdmin,
+  requirePermission('user_management'),
   validatePagination,
   async (req, res) => {
     try {
-      const { page = 1, limit = 20, status = 'payment_submitted' } = req.query;
+      const { page = 1, limit = 20 } = req.query;
       const skip = (page - 1) * limit;
 
-      const filters = status === 'all' ? {} : { registrationStatus: status };
-      
+      const filters = { lockUntil: { $gt: new Date() } };
+
       const users = await User.find(filters)
-        .select('email fullName mobileNumber paymentProofUrl paymentStatus registrationStatus createdAt adminNotes')
-        .sort({ createdAt: -1 })
+        .select('email fullName loginAttempts lockCount lockUntil lastLogin')
+        .sort({ lockUntil: -1 })
         .skip(skip)
         .limit(parseInt(limit));
 
@@ -529,29 +730,136 @@ router.get('/pending-registrations',
         }
       });
     } catch (error) {
-      console.error('Get pending registrations error:', error);
+      console.error('Get locked users error:', error);
       res.status(500).json({
         success: false,
-        message: 'Failed to fetch pending registrations'
+        message: 'Failed to fetch locked users'
       });
     }
   }
 );
 
-// Approve/reject user registration
-router.put('/users/:id/registration-status', 
+// Unlock a user account
+router.post('/users/:id/unlock', 
   authenticateAdmin,
+  requirePermission('user_management'),
   async (req, res) => {
     try {
-      const { action, adminNotes } = req.body; // action: 'approve' or 'reject'
-      
-      if (!['approve', 'reject'].includes(action)) {
-        return res.status(400).json({
+      const user = await User.findById(req.params.id);
+      if (!user) {
+        return res.status(404).json({
           success: false,
-          message: 'Invalid action. Must be "approve" or "reject"'
+          message: 'User not found'
         });
       }
 
+      const oldData = {
+        loginAttempts: user.loginAttempts,
+        lockCount: user.lockCount,
+        lockUntil: user.lockUntil
+      };
+
+      user.unlock();
+      await user.save();
+
+      // Log unlock
+      await AuditLog.logEvent({
+        userId: req.user._id,
+        action: 'account_unlocked',
+        resourceType: 'user',
+        resourceId: user._id.toString(),
+        details: { 
+          targetUserEmail: user.email,
+          oldData,
+          wasLocked: !!(oldData.lockUntil && oldData.lockUntil > Date.now()),
+          unlockedBy: req.user.email
+        },
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent'),
+        severity: 'medium'
+      });
+
+      res.json({
+        success: true,
+        message: 'User account unlocked successfully',
+        data: {
+          user: user.getPublicProfile()
+        }
+      });
+    } catch (error) {
+      console.error('Unlock user error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to unlock user'
+      });
+    }
+  }
+);
+
+// For each submission, list the other accounts whose proofs look like the same
+// payment: the same or a similar image (in either upload order) or the same
+// reference number
+const findDuplicateAccounts = async (submissions) => {
+  const submissionIds = submissions.map(submission => submission._id);
+  const referenceKeys = submissions.map(submission => submission.referenceKey).filter(Boolean);
+
+  // Later uploads that flagged one of these submissions, and shared references
+  const related = await PaymentSubmission.find({
+    $or: [
+      { 'duplicates.submissionId': { $in: submissionIds } },
+      { referenceKey: { $in: referenceKeys } }
+    ]
+  }).select('userId referenceKey duplicates').lean();
+
+  const matches = new Map();
+  for (const submission of submissions) {
+    const id = submission._id.toString();
+    const found = (submission.duplicates || []).map(duplicate => ({
+      userId: duplicate.userId,
+      submissionId: duplicate.submissionId,
+      reason: duplicate.reason
+    }));
+
+    for (const other of related) {
+      if (other.userId.equals(submission.userId)) continue;
+
+      const flagged = (other.duplicates || []).find(duplicate => duplicate.submissionId.equals(submission._id));
+      if (flagged) {
+        found.push({ userId: other.userId, submissionId: other._id, reason: flagged.reason });
+      }
+      if (submission.referenceKey && other.referenceKey === submission.referenceKey) {
+        found.push({ userId: other.userId, submissionId: other._id, reason: 'same_reference' });
+      }
+    }
+
+    matches.set(id, found);
+  }
+
+  // Resolve the other accounts so reviewers can follow the link
+  const userIds = [...matches.values()].flat().map(match => match.userId);
+  const accounts = await User.find({ _id: { $in: userIds } })
+    .select('email fullName registrationStatus')
+    .lean();
+  const accountsById = new Map(accounts.map(account => [account._id.toString(), account]));
+
+  for (const [id, found] of matches) {
+    matches.set(id, found.map(match => ({
+      ...match,
+      email: accountsById.get(match.userId.toString())?.email,
+      fullName: accountsById.get(match.userId.toString())?.fullName,
+      registrationStatus: accountsById.get(match.userId.toString())?.registrationStatus
+    })));
+  }
+
+  return matches;
+};
+
+// Get every payment proof a user has submitted
+router.get('/users/:id/payment-submissions', 
+  authenticateAdmin,
+  requirePermission('user_management'),
+  async (req, res) => {
+    try {
       const user = await User.findById(req.params.id);
       if (!user) {
         return res.status(404).json({
@@ -560,67 +868,718 @@ router.put('/users/:id/registration-status',
         });
       }
 
-      const oldStatus = {
-        registrationStatus: user.registrationStatus,
-        paymentStatus: user.paymentStatus,
-        subscriptionStatus: user.subscriptionStatus,
-        subscriptionTier: user.subscriptionTier
-      };
+      // Images are only handed out through the signed payment proof endpoint
+      const paymentSubmissions = await PaymentSubmission.find({ userId: user._id })
+        .select('-imageUrl -imageKey')
+        .populate('reviewedBy', 'email fullName')
+        .sort({ createdAt: -1 });
 
-      if (action === 'approve') {
-        user.registrationStatus = 'approved';
-        user.paymentStatus = 'verified';
-        user.paymentVerificationDate = new Date();
-        user.subscriptionStatus = 'active';
-        user.subscriptionTier = 'premium';
-        user.isEmailVerified = true;
-      } else {
-        user.registrationStatus = 'rejected';
-        user.paymentStatus = 'rejected';
+      res.json({
+        success: true,
+        data: { paymentSubmissions }
+      });
+    } catch (error) {
+      console.error('Get payment submissions error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch payment submissions'
+      });
+    }
+  }
+);
+
+// Get a short-lived link to a user's payment proof image (the latest one, or
+// ?submissionId=... for an earlier submission). Every access is audited.
+router.get('/users/:id/payment-proof',
+  authenticateAdmin,
+  requirePermission('user_management'),
+  validatePaymentProofQuery,
+  async (req, res) => {
+    try {
+      const user = await User.findById(req.params.id);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
       }
 
-      if (adminNotes) {
-        user.adminNotes = adminNotes;
+      const paymentSubmission = req.query.submissionId
+        ? await PaymentSubmission.findOne({ _id: req.query.submissionId, userId: user._id })
+        : await PaymentSubmission.findLatestForUser(user._id);
+
+      if (!paymentSubmission || (!paymentSubmission.imageKey && !paymentSubmission.imageUrl)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Payment proof not found'
+        });
       }
 
-      await user.save();
+      // Proofs uploaded before private storage only have their public URL
+      const link = paymentSubmission.imageKey
+        ? await getSignedFileUrl(paymentSubmission.imageKey, paymentSubmission.storageDriver)
+        : { url: paymentSubmission.imageUrl, expiresAt: null };
 
-      // Log registration status change
+      // Log proof access
       await AuditLog.logEvent({
         userId: req.user._id,
-        action: `registration_${action}d`,
+        action: 'payment_proof_accessed',
         resourceType: 'user',
         resourceId: user._id.toString(),
-        details: { 
+        details: {
           targetUserEmail: user.email,
-          targetUserName: user.fullName,
-          oldStatus,
-          newStatus: {
-            registrationStatus: user.registrationStatus,
-            paymentStatus: user.paymentStatus,
-            subscriptionStatus: user.subscriptionStatus,
-            subscriptionTier: user.subscriptionTier
-          },
-          adminNotes,
-          processedBy: req.user.email
+          paymentSubmissionId: paymentSubmission._id,
+          storageDriver: paymentSubmission.storageDriver,
+          expiresAt: link.expiresAt
         },
         ipAddress: req.ip,
         userAgent: req.get('User-Agent'),
-        severity: 'high'
+        severity: 'medium'
       });
 
       res.json({
         success: true,
-        message: `Registration ${action}d successfully`,
         data: {
-          user: user.getPublicProfile()
+          paymentSubmissionId: paymentSubmission._id,
+          url: link.url,
+          expiresAt: link.expiresAt
         }
       });
     } catch (error) {
-      console.error('Update registration status error:', error);
+      console.error('Get payment proof error:', error);
       res.status(500).json({
         success: false,
-        message: 'Failed to update registration status'
+        message: 'Failed to fetch payment proof'
+      });
+    }
+  }
+);
+
+// Get pending registrations (payment verification)
+router.get('/pending-registrations', 
+  authenticateAdmin,
+  validatePagination,
+  async (req, res) => {
+    try {
+      const { page = 1, limit = 20, status = 'payment_submitted' } = req.query;
+      const skip = (page - 1) * limit;
+
+      const filters = status === 'all' ? {} : { registrationStatus: status };
+      
+      const users = await User.find(filters)
+        .select('email fullName mobileNumber mobileVerified paymentProofSubmittedAt paymentStatus registrationStatus createdAt adminNotes')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .lean();
+
+      const total = await User.countDocuments(filters);
+
+      // Attach each user's latest payment submission so reviewers can see what
+      // was paid, along with any other accounts that submitted the same proof
+      const submissions = await PaymentSubmission.findLatestForUsers(users.map(user => user._id));
+      const duplicateAccounts = await findDuplicateAccounts([...submissions.values()]);
+      const usersWithPayments = users.map(user => {
+        const paymentSubmission = submissions.get(user._id.toString()) || null;
+        const duplicates = paymentSubmission ? duplicateAccounts.get(paymentSubmission._id.toString()) : [];
+        return {
+          ...user,
+          paymentSubmission,
+          // Exact copies and shared references; perceptual matches are only
+          // reported as similar since receipts from one app look alike
+          possibleDuplicate: duplicates.some(duplicate => duplicate.reason !== 'similar_image'),
+          similarProof: duplicates.some(duplicate => duplicate.reason === 'similar_image'),
+          duplicateAccounts: duplicates
+        };
+      });
+
+      res.json({
+        success: true,
+        data: {
+          users: usersWithPayments,
+          pagination: {
+            page: parseInt(page),
+            limit: parseInt(limit),
+            total,
+            pages: Math.ceil(total / limit)
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Get pending registrations error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch pending registrations'
+      });
+    }
+  }
+);
+
+// Subscription terms the admin can override when approving
+const getSubscriptionOverrides = ({ planId, currentPeriodStart, currentPeriodEnd, amount, currency }) => ({
+  planId, currentPeriodStart, currentPeriodEnd, amount, currency
+});
+
+// Approve/reject user registration
+router.put('/users/:id/registration-status', 
+  authenticateAdmin,
+  requirePermission('user_management'),
+  validateRegistrationDecision,
+  async (req, res) => {
+    try {
+      // action: 'approve' or 'reject'; a rejection can use a predefined
+      // reason (rejectionReasonId), free text (rejectionReason) or both
+      const { action, adminNotes } = req.body;
+
+      const user = await User.findById(req.params.id);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      const rejection = action === 'reject' ? await resolveRejection(req.body) : {};
+
+      const { paymentSubmission, subscription, notification } = await reviewRegistration(user, {
+        action,
+        adminNotes,
+        rejection,
+        subscriptionOverrides: getSubscriptionOverrides(req.body)
+      }, {
+        reviewer: req.user,
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+
+      res.json({
+        success: true,
+        message: `Registration ${action}d successfully`,
+        data: {
+          user: user.getPublicProfile(),
+          paymentSubmission,
+          subscription,
+          notification: notification && {
+            id: notification._id,
+            template: notification.template,
+            status: notification.status
+          }
+        }
+      });
+    } catch (error) {
+      if (error.isReviewError) {
+        return res.status(error.status).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      console.error('Update registration status error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update registration status'
+      });
+    }
+  }
+);
+
+// Approve/reject several registrations with the same decision. Users already
+// in the requested state are skipped, so a failed or interrupted batch can
+// simply be sent again.
+router.post('/users/registration-status/bulk',
+  authenticateAdmin,
+  requirePermission('user_management'),
+  validateBulkRegistrationDecision,
+  async (req, res) => {
+    try {
+      const { userIds, action, adminNotes } = req.body;
+      const batchId = req.body.batchId || crypto.randomUUID();
+
+      const rejection = action === 'reject' ? await resolveRejection(req.body) : {};
+
+      const results = await reviewRegistrations(userIds, {
+        action,
+        adminNotes,
+        rejection,
+        subscriptionOverrides: getSubscriptionOverrides(req.body)
+      }, {
+        reviewer: req.user,
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent'),
+        batchId
+      });
+
+      const summary = {
+        total: results.length,
+        succeeded: results.filter(result => result.status === action + 'd').length,
+        skipped: results.filter(result => result.status === 'skipped').length,
+        failed: results.filter(result => result.status === 'failed').length
+      };
+
+      // Log the batch as a whole; each user also has their own entry
+      await AuditLog.logEvent({
+        userId: req.user._id,
+        action: 'registration_bulk_review',
+        resourceType: 'system',
+        details: {
+          batchId,
+          action,
+          adminNotes,
+          rejectionReason: rejection.reason,
+          rejectionReasonCode: rejection.code,
+          summary,
+          results: results.map(({ userId, status }) => ({ userId, status })),
+          processedBy: req.user.email
+        },
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent'),
+        severity: 'high',
+        status: summary.failed > 0 ? 'warning' : 'success'
+      });
+
+      res.json({
+        success: true,
+        message: `Bulk ${action}: ${summary.succeeded} ${action}d, ${summary.skipped} skipped, ${summary.failed} failed`,
+        data: {
+          batchId,
+          summary,
+          results
+        }
+      });
+    } catch (error) {
+      if (error.isReviewError) {
+        return res.status(error.status).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      console.error('Bulk registration review error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to process bulk registration review'
+      });
+    }
+  }
+);
+
+// List the predefined rejection reasons (?includeInactive=true for retired ones)
+router.get('/rejection-reasons',
+  authenticateAdmin,
+  requirePermission('user_management'),
+  async (req, res) => {
+    try {
+      const filters = req.query.includeInactive === 'true' ? {} : { isActive: true };
+      const rejectionReasons = await RejectionReason.find(filters).sort({ label: 1 });
+
+      res.json({
+        success: true,
+        data: { rejectionReasons }
+      });
+    } catch (error) {
+      console.error('Get rejection reasons error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch rejection reasons'
+      });
+    }
+  }
+);
+
+// Add a predefined rejection reason
+router.post('/rejection-reasons',
+  authenticateAdmin,
+  requirePermission('system_settings'),
+  validateRejectionReasonCreate,
+  async (req, res) => {
+    try {
+      const { code, label, message, isActive } = req.body;
+
+      if (await RejectionReason.exists({ code })) {
+        return res.status(400).json({
+          success: false,
+          message: 'A rejection reason with this code already exists'
+        });
+      }
+
+      const rejectionReason = await RejectionReason.create({
+        code,
+        label,
+        message,
+        isActive,
+        createdBy: req.user._id
+      });
+
+      // Log creation
+      await AuditLog.logEvent({
+        userId: req.user._id,
+        action: 'rejection_reason_created',
+        resourceType: 'system',
+        resourceId: rejectionReason._id.toString(),
+        details: { code, label },
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent'),
+        severity: 'low'
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Rejection reason created successfully',
+        data: { rejectionReason }
+      });
+    } catch (error) {
+      console.error('Create rejection reason error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create rejection reason'
+      });
+    }
+  }
+);
+
+// Update a predefined rejection reason
+router.put('/rejection-reasons/:id',
+  authenticateAdmin,
+  requirePermission('system_settings'),
+  validateRejectionReasonUpdate,
+  async (req, res) => {
+    try {
+      const rejectionReason = await RejectionReason.findById(req.params.id);
+      if (!rejectionReason) {
+        return res.status(404).json({
+          success: false,
+          message: 'Rejection reason not found'
+        });
+      }
+
+      const { code, label, message, isActive } = req.body;
+      if (code && code !== rejectionReason.code && await RejectionReason.exists({ code })) {
+        return res.status(400).json({
+          success: false,
+          message: 'A rejection reason with this code already exists'
+        });
+      }
+
+      const oldData = rejectionReason.toObject();
+      if (code !== undefined) rejectionReason.code = code;
+      if (label !== undefined) rejectionReason.label = label;
+      if (message !== undefined) rejectionReason.message = message;
+      if (isActive !== undefined) rejectionReason.isActive = isActive;
+      rejectionReason.updatedBy = req.user._id;
+      await rejectionReason.save();
+
+      // Log update
+      await AuditLog.logEvent({
+        userId: req.user._id,
+        action: 'rejection_reason_updated',
+        resourceType: 'system',
+        resourceId: rejectionReason._id.toString(),
+        details: {
+          oldData: { code: oldData.code, label: oldData.label, message: oldData.message, isActive: oldData.isActive },
+          newData: { code, label, message, isActive }
+        },
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent'),
+        severity: 'low'
+      });
+
+      res.json({
+        success: true,
+        message: 'Rejection reason updated successfully',
+        data: { rejectionReason }
+      });
+    } catch (error) {
+      console.error('Update rejection reason error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update rejection reason'
+      });
+    }
+  }
+);
+
+// Retire a predefined rejection reason (kept so past rejections still resolve)
+router.delete('/rejection-reasons/:id',
+  authenticateAdmin,
+  requirePermission('system_settings'),
+  async (req, res) => {
+    try {
+      const rejectionReason = await RejectionReason.findByIdAndUpdate(
+        req.params.id,
+        { isActive: false, updatedBy: req.user._id },
+        { new: true }
+      );
+      if (!rejectionReason) {
+        return res.status(404).json({
+          success: false,
+          message: 'Rejection reason not found'
+        });
+      }
+
+      // Log retirement
+      await AuditLog.logEvent({
+        userId: req.user._id,
+        action: 'rejection_reason_retired',
+        resourceType: 'system',
+        resourceId: rejectionReason._id.toString(),
+        details: { code: rejectionReason.code },
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent'),
+        severity: 'low'
+      });
+
+      res.json({
+        success: true,
+        message: 'Rejection reason retired successfully'
+      });
+    } catch (error) {
+      console.error('Retire rejection reason error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retire rejection reason'
+      });
+    }
+  }
+);
+
+// Get the emails sent to a user, newest first
+router.get('/users/:id/emails',
+  authenticateAdmin,
+  requirePermission('user_management'),
+  validatePagination,
+  async (req, res) => {
+    try {
+      const { page = 1, limit = 20 } = req.query;
+      const skip = (page - 1) * limit;
+
+      const filters = { userId: req.params.id };
+      const messages = await EmailMessage.find(filters)
+        .select('-text -html')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit));
+
+      const total = await EmailMessage.countDocuments(filters);
+
+      res.json({
+        success: true,
+        data: {
+          messages,
+          pagination: {
+            page: parseInt(page),
+            limit: parseInt(limit),
+            total,
+            pages: Math.ceil(total / limit)
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Get user emails error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch user emails'
+      });
+    }
+  }
+);
+
+// Send a rendered email as HTML, or as plain text with ?format=text
+const sendEmailPreview = (req, res, { text, html }) => {
+  if (req.query.format === 'text') {
+    return res.type('text').send(text);
+  }
+  res.type('html').send(html);
+};
+
+// List the available email templates
+router.get('/email-templates',
+  authenticateAdmin,
+  requirePermission('user_management'),
+  (req, res) => {
+    res.json({
+      success: true,
+      data: { templates: listTemplates() }
+    });
+  }
+);
+
+// Preview an email template rendered with sample data
+router.get('/email-templates/:name/preview',
+  authenticateAdmin,
+  requirePermission('user_management'),
+  (req, res) => {
+    if (!getTemplateNames().includes(req.params.name)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Email template not found'
+      });
+    }
+
+    sendEmailPreview(req, res, renderTemplate(req.params.name));
+  }
+);
+
+// List outbox messages (content is left out; fetch a single message for that)
+router.get('/emails',
+  authenticateAdmin,
+  requirePermission('user_management'),
+  validatePagination,
+  async (req, res) => {
+    try {
+      const { page = 1, limit = 50, status, template, to, userId } = req.query;
+      const skip = (page - 1) * limit;
+
+      const filters = {};
+      if (status) filters.status = status;
+      if (template) filters.template = template;
+      if (to) filters.to = to.toLowerCase();
+      if (userId) filters.userId = userId;
+
+      const messages = await EmailMessage.find(filters)
+        .select('-text -html')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit));
+
+      const total = await EmailMessage.countDocuments(filters);
+
+      res.json({
+        success: true,
+        data: {
+          messages,
+          pagination: {
+            page: parseInt(page),
+            limit: parseInt(limit),
+            total,
+            pages: Math.ceil(total / limit)
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Get emails error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch emails'
+      });
+    }
+  }
+);
+
+// Get a single outbox message with its content (left out for sensitive messages)
+router.get('/emails/:id',
+  authenticateAdmin,
+  requirePermission('user_management'),
+  async (req, res) => {
+    try {
+      const message = await EmailMessage.findById(req.params.id)
+        .populate('resentBy', 'email fullName');
+      if (!message) {
+        return res.status(404).json({
+          success: false,
+          message: 'Email not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: { message: message.getAdminView() }
+      });
+    } catch (error) {
+      console.error('Get email error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch email'
+      });
+    }
+  }
+);
+
+// Preview an outbox message as the recipient sees it
+router.get('/emails/:id/preview',
+  authenticateAdmin,
+  requirePermission('user_management'),
+  async (req, res) => {
+    try {
+      const message = await EmailMessage.findById(req.params.id);
+      if (!message) {
+        return res.status(404).json({
+          success: false,
+          message: 'Email not found'
+        });
+      }
+
+      if (message.sensitive) {
+        return res.status(410).json({
+          success: false,
+          message: 'This email contains a one-time link or code, so its content cannot be viewed'
+        });
+      }
+
+      sendEmailPreview(req, res, message);
+    } catch (error) {
+      console.error('Preview email error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to preview email'
+      });
+    }
+  }
+);
+
+// Send an outbox message again (as a new message linked to the original)
+router.post('/emails/:id/resend',
+  authenticateAdmin,
+  requirePermission('user_management'),
+  async (req, res) => {
+    try {
+      const original = await EmailMessage.findById(req.params.id);
+      if (!original) {
+        return res.status(404).json({
+          success: false,
+          message: 'Email not found'
+        });
+      }
+
+      // One-time links and codes are never copied; the user can request a new one
+      if (original.sensitive || original.redactedAt) {
+        return res.status(409).json({
+          success: false,
+          message: 'This email contains a one-time link or code and cannot be resent'
+        });
+      }
+
+      const message = await resendEmailMessage(original, req.user._id);
+
+      // Log resend
+      await AuditLog.logEvent({
+        userId: req.user._id,
+        action: 'email_resent',
+        resourceType: 'system',
+        resourceId: message._id.toString(),
+        details: {
+          originalMessageId: original._id,
+          template: original.template,
+          to: original.to,
+          status: message.status
+        },
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent'),
+        severity: 'low',
+        status: message.status === 'sent' ? 'success' : 'warning'
+      });
+
+      res.json({
+        success: true,
+        message: message.status === 'sent'
+          ? 'Email sent'
+          : 'Email could not be sent right away and will be retried',
+        data: { message: message.getAdminView() }
+      });
+    } catch (error) {
+      console.error('Resend email error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to resend email'
       });
     }
   }
@@ -1,13 +1,262 @@
 import express from 'express';
+import rateLimit from 'express-rate-limit';
 import User from '../models/User.js';
 import AdminUser from '../models/AdminUser.js';
 import AuditLog from '../models/AuditLog.js';
-import { generateToken, generateRefreshToken, authenticate } from '../middleware/auth.js';
-import { validateUserRegistration, validateUserLogin } from '../middleware/validation.js';
+import RefreshToken from '../models/RefreshToken.js';
+import SystemSetting from '../models/SystemSetting.js';
+import Session from '../models/Session.js';
+import Subscription from '../models/Subscription.js';
+import ContentAccess from '../models/ContentAccess.js';
+import OidcState from '../models/OidcState.js';
+import PaymentSubmission from '../models/PaymentSubmission.js';
+import {
+  generateToken,
+  generateRefreshToken,
+  verifyRefreshToken,
+  revokeUserTokens,
+  enforceSessionLimit,
+  createUserSession,
+  generateTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+  authenticate,
+  authenticateUserOrStatusToken,
+  authenticateAdmin
+} from '../middleware/auth.js';
+import {
+  validateUserRegistration,
+  validateUserLogin,
+  validateRefreshToken,
+  validatePasswordReset,
+  validatePasswordUpdate,
+  validateResendVerification,
+  validateTwoFactorCode,
+  validateTwoFactorLogin,
+  validateProfileUpdate,
+  validateEmailChange,
+  validateAccountDeletion,
+  validatePasswordlessRequest,
+  validatePasswordlessVerify,
+  validateMobileCode,
+  validatePasswordChange,
+  validateOidcExchange,
+  validatePaymentResubmitLink,
+  validatePaymentResubmit,
+  validatePaymentRegistration,
+  validatePaymentDetails,
+  validateRegistrationStatusLookup,
+  validateRegistrationStatusLink,
+  validateStatusTokenAuth
+} from '../middleware/validation.js';
 import upload from '../middleware/upload.js';
+import authConfig from '../config/auth.js';
+import oidcConfig from '../config/oidc.js';
+import { sendTemplateEmail, getFrontendUrl } from '../services/email/index.js';
+import { sendSms } from '../services/sms/index.js';
+import {
+  getProvider as getOidcProvider,
+  listProviders,
+  createLoginSecrets,
+  buildAuthorizationUrl,
+  exchangeCode,
+  verifyIdToken
+} from '../services/oidc.js';
+import { generateSecureToken, hashToken } from '../utils/tokens.js';
+import { generateTotpSecret, buildOtpauthUrl } from '../utils/totp.js';
+import { describeDevice } from '../utils/device.js';
+import { normalizePhoneNumber } from '../utils/phone.js';
+import { checkPasswordStrength, checkNewPassword, isAdminPasswordExpired } from '../utils/passwordPolicy.js';
 
 const router = express.Router();
 
+// Stricter rate limiting for endpoints that send emails
+const emailLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 5,
+  message: {
+    success: false,
+    message: 'Too many requests, please try again later.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Rate limiting for second-factor attempts
+const twoFactorLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10,
+  message: {
+    success: false,
+    message: 'Too many authentication attempts, please try again later.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Rate limiting for passwordless login, per IP address...
+const passwordlessIpLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10,
+  message: {
+    success: false,
+    message: 'Too many login attempts, please try again later.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// ...and per email address, so one inbox can't be flooded from many IPs
+const passwordlessEmailLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 3,
+  keyGenerator: (req) => req.body.email,
+  message: {
+    success: false,
+    message: 'Too many login codes requested for this email, please try again later.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Rate limiting for registration status lookups
+const statusLookupLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 20,
+  message: {
+    success: false,
+    message: 'Too many status requests, please try again later.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Rate limiting for SMS verification codes
+const smsLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 5,
+  message: {
+    success: false,
+    message: 'Too many verification requests, please try again later.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Respond 423 with the unlock time so clients can tell the user when to retry
+const sendAccountLocked = (res, user) => {
+  const retryAfterSeconds = Math.max(1, Math.ceil((user.lockUntil - Date.now()) / 1000));
+  res.set('Retry-After', String(retryAfterSeconds));
+
+  return res.status(423).json({
+    success: false,
+    message: 'Account is temporarily locked due to too many failed login attempts',
+    lockUntil: user.lockUntil,
+    retryAfterSeconds
+  });
+};
+
+// Record a lockout that a failed login just triggered and tell the account owner
+const handleAccountLocked = async (req, user) => {
+  await AuditLog.logEvent({
+    userId: user._id,
+    action: 'account_locked',
+    resourceType: 'user',
+    resourceId: user._id.toString(),
+    details: {
+      email: user.email,
+      lockUntil: user.lockUntil,
+      lockCount: user.lockCount
+    },
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent'),
+    severity: 'high',
+    status: 'warning'
+  });
+
+  const resetUrl = getFrontendUrl('/forgot-password');
+
+  try {
+    await sendTemplateEmail('account_locked', {
+      to: user.email,
+      userId: user._id,
+      data: { fullName: user.fullName, lockUntil: user.lockUntil, resetUrl }
+    });
+  } catch (emailError) {
+    console.error('Account locked email error:', emailError);
+  }
+};
+
+// Send a fresh email verification link to a user (saves the new token)
+const sendVerificationEmail = async (user) => {
+  const verificationToken = user.createEmailVerificationToken();
+  await user.save();
+
+  const verifyUrl = getFrontendUrl(`/verify-email?token=${verificationToken}`);
+  const expiresInHours = Math.round(authConfig.emailVerificationTokenTtlMs / 3600000);
+
+  await sendTemplateEmail('email_verification', {
+    to: user.email,
+    userId: user._id,
+    data: { fullName: user.fullName, verifyUrl, expiresInHours }
+  });
+};
+
+// Let an applicant know their payment proof is waiting for review
+const sendRegistrationReceivedEmail = (user) => {
+  return sendTemplateEmail('registration_received', {
+    to: user.email,
+    userId: user._id,
+    data: { fullName: user.fullName }
+  });
+};
+
+// Reject a mobile number that can't be normalized to international format
+const sendInvalidMobileNumber = (res) => {
+  return res.status(400).json({
+    success: false,
+    message: authConfig.mobileVerification.defaultCountryCode
+      ? 'Please provide a valid mobile number'
+      : 'Please provide a valid mobile number including the country code (e.g. +15551234567)'
+  });
+};
+
+// Reject a mobile number already claimed by another account
+const sendMobileNumberTaken = (res) => {
+  return res.status(409).json({
+    success: false,
+    message: 'This mobile number is already registered to another account'
+  });
+};
+
+// Collect the uploaded proof, its fingerprints and the payment details the
+// user supplied alongside it
+const getPaymentSubmissionDetails = (req) => ({
+  imageUrl: req.file.url,
+  imageKey: req.file.key,
+  storageDriver: req.file.driver,
+  contentHash: req.file.contentHash,
+  perceptualHash: req.file.perceptualHash,
+  amount: req.body.amount || undefined,
+  currency: req.body.currency || undefined,
+  channel: req.body.paymentChannel || undefined,
+  referenceNumber: req.body.referenceNumber || undefined,
+  payerName: req.body.payerName || undefined,
+  planId: req.body.planId || undefined
+});
+
+// Reject a payment reference number that another account already submitted
+const checkPaymentReference = async (res, userId, referenceNumber) => {
+  const conflict = await PaymentSubmission.findReferenceConflict(userId, referenceNumber);
+  if (conflict) {
+    res.status(409).json({
+      success: false,
+      message: 'This payment reference number has already been submitted for another account'
+    });
+    return false;
+  }
+  return true;
+};
+
 // Register new user
 router.post('/register', validateUserRegistration, async (req, res) => {
   try {
@@ -31,9 +280,11 @@ router.post('/register', validateUserRegistration, async (req, res) => {
 
     await user.save();
 
-    // Generate tokens
-    const token = generateToken(user._id);
-    const refreshToken = generateRefreshToken(user._id);
+    try {
+      await sendVerificationEmail(user);
+    } catch (emailError) {
+      console.error('Verification email error:', emailError);
+    }
 
     // Log registration event
     await AuditLog.logEvent({
@@ -47,6 +298,21 @@ router.post('/register', validateUserRegistration, async (req, res) => {
       severity: 'low'
     });
 
+    // Same policy as login: no session until the email address is verified
+    if (authConfig.emailVerificationRequired === 'login' && !user.isEmailVerified) {
+      return res.status(201).json({
+        success: true,
+        message: 'User registered successfully. Please verify your email address before logging in',
+        emailVerified: false,
+        data: {
+          user: user.getPublicProfile()
+        }
+      });
+    }
+
+    // Generate tokens
+    const { token, refreshToken } = await createUserSession(user, req);
+
     res.status(201).json({
       success: true,
       message: 'User registered successfully',
@@ -66,7 +332,8 @@ router.post('/register', validateUserRegistration, async (req, res) => {
 });
 
 // Register new user with payment proof
-router.post('/register-with-payment', upload.single('paymentProof'), async (req, res) => {
+router.post('/register-with-payment', upload.single('paymentProof'), validatePaymentRegistration, validatePaymentDetails, async (req, res) => {
+  let paymentSubmission;
   try {
     const { email, password, fullName, mobileNumber } = req.body;
 
@@ -78,6 +345,14 @@ router.post('/register-with-payment', upload.single('paymentProof'), async (req,
       });
     }
 
+    const passwordErrors = checkPasswordStrength(password);
+    if (passwordErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: passwordErrors.join('. ')
+      });
+    }
+
     // Check if payment proof was uploaded
     if (!req.file) {
       return res.status(400).json({
@@ -86,6 +361,11 @@ router.post('/register-with-payment', upload.single('paymentProof'), async (req,
       });
     }
 
+    const normalizedMobileNumber = normalizePhoneNumber(mobileNumber);
+    if (!normalizedMobileNumber) {
+      return sendInvalidMobileNumber(res);
+    }
+
     // Check if user already exists
     const existingUser = await User.findOne({ email });
     if (existingUser) {
@@ -95,19 +375,42 @@ router.post('/register-with-payment', upload.single('paymentProof'), async (req,
       });
     }
 
+    if (await User.isMobileNumberTaken(normalizedMobileNumber)) {
+      return sendMobileNumberTaken(res);
+    }
+
+    if (!await checkPaymentReference(res, undefined, req.body.referenceNumber)) {
+      return;
+    }
+
+    await upload.store(req);
+
     // Create new user with payment proof
     const user = new User({
       email,
       password,
       fullName,
-      mobileNumber,
-      paymentProofUrl: req.file.path,
+      mobileNumber: normalizedMobileNumber,
+      paymentProofSubmittedAt: new Date(),
       registrationStatus: 'payment_submitted',
       paymentStatus: 'pending'
     });
 
+    // Applicants can't sign in until approved, so give them a token for
+    // checking on their registration instead
+    const statusToken = user.createRegistrationStatusToken();
     await user.save();
 
+    paymentSubmission = await PaymentSubmission.submit(user._id, getPaymentSubmissionDetails(req));
+    const imageMatches = paymentSubmission.countImageMatches();
+
+    try {
+      await sendVerificationEmail(user);
+      await sendRegistrationReceivedEmail(user);
+    } catch (emailError) {
+      console.error('Registration email error:', emailError);
+    }
+
     // Log registration event
     await AuditLog.logEvent({
       userId: user._id,
@@ -117,13 +420,16 @@ router.post('/register-with-payment', upload.single('paymentProof'), async (req,
       details: { 
         email, 
         fullName, 
-        mobileNumber,
-        paymentProofUrl: req.file.path,
+        mobileNumber: normalizedMobileNumber,
+        paymentSubmissionId: paymentSubmission._id,
+        duplicateProofs: imageMatches.duplicate,
+        similarProofs: imageMatches.similar,
         registrationStatus: 'payment_submitted'
       },
       ipAddress: req.ip,
       userAgent: req.get('User-Agent'),
-      severity: 'low'
+      severity: imageMatches.duplicate > 0 ? 'medium' : 'low',
+      status: imageMatches.duplicate > 0 ? 'warning' : 'success'
     });
 
     res.status(201).json({
@@ -138,10 +444,15 @@ router.post('/register-with-payment', upload.single('paymentProof'), async (req,
           registrationStatus: user.registrationStatus,
           paymentStatus: user.paymentStatus,
           createdAt: user.createdAt
-        }
+        },
+        statusToken
       }
     });
   } catch (error) {
+    if (!paymentSubmission) {
+      await upload.discard(req);
+    }
+
     console.error('Registration with payment error:', error);
     res.status(500).json({
       success: false,
@@ -150,252 +461,2242 @@ router.post('/register-with-payment', upload.single('paymentProof'), async (req,
   }
 });
 
-// Login user
-router.post('/login', validateUserLogin, async (req, res) => {
+// Check on a registration without signing in, using the status token
+// returned at registration (or sent by email)
+router.post('/registration-status', statusLookupLimiter, validateRegistrationStatusLookup, async (req, res) => {
   try {
-    const { email, password } = req.body;
+    const { email, token } = req.body;
 
-    // Find user by email
     const user = await User.findOne({ email });
-    if (!user) {
+    if (!user || !user.verifyRegistrationStatusToken(token)) {
       return res.status(401).json({
         success: false,
-        message: 'Invalid credentials'
+        message: 'Invalid email or status token'
       });
     }
 
-    // Check if user registration is approved
-    if (user.registrationStatus !== 'approved') {
-      let message = 'Account not yet approved';
-      if (user.registrationStatus === 'pending_payment') {
-        message = 'Please complete your registration with payment proof';
-      } else if (user.registrationStatus === 'payment_submitted') {
-        message = 'Your registration is pending admin approval';
-      } else if (user.registrationStatus === 'rejected') {
-        message = 'Your registration has been rejected. Please contact support.';
-      }
-      
-      return res.status(403).json({
-        success: false,
-        message: message,
-        registrationStatus: user.registrationStatus
-      });
+    // Reason given for the latest rejection, if the registration is rejected
+    let rejectionReason = null;
+    if (user.registrationStatus === 'rejected') {
+      const rejected = await PaymentSubmission.findOne({ userId: user._id, status: 'rejected' })
+        .sort({ reviewedAt: -1 })
+        .select('rejectionReason');
+      rejectionReason = rejected?.rejectionReason || null;
     }
 
-    // Check password
-    const isPasswordValid = await user.comparePassword(password);
-    if (!isPasswordValid) {
-      await AuditLog.logEvent({
-        userId: user._id,
-        action: 'login_failed',
-        resourceType: 'user',
-        details: { email, reason: 'invalid_password' },
-        ipAddress: req.ip,
-        userAgent: req.get('User-Agent'),
-        severity: 'medium',
-        status: 'failure'
-      });
+    let estimatedReviewTime = null;
+    if (user.registrationStatus === 'payment_submitted') {
+      const reviewTimeMs = await PaymentSubmission.estimateReviewTimeMs();
+      const submittedAt = user.paymentProofSubmittedAt || user.createdAt;
+      estimatedReviewTime = {
+        hours: Math.ceil(reviewTimeMs / 3600000),
+        expectedBy: new Date(Math.max(submittedAt.getTime() + reviewTimeMs, Date.now()))
+      };
+    }
 
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid credentials'
-      });
+    res.json({
+      success: true,
+      data: {
+        registrationStatus: user.registrationStatus,
+        paymentStatus: user.paymentStatus,
+        paymentProofSubmittedAt: user.paymentProofSubmittedAt,
+        rejectionReason,
+        estimatedReviewTime,
+        canResubmitPaymentProof: user.canResubmitPaymentProof()
+      }
+    });
+  } catch (error) {
+    console.error('Registration status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch registration status'
+    });
+  }
+});
+
+// Email a link for checking on a registration (replaces any earlier status token)
+router.post('/registration-status/link', emailLimiter, validateRegistrationStatusLink, async (req, res) => {
+  // Same response either way so accounts can't be probed
+  const response = {
+    success: true,
+    message: 'If a registration exists for this email, a link to check its status has been sent.'
+  };
+
+  try {
+    const { email } = req.body;
+
+    const user = await User.findOne({ email });
+    if (!user) {
+      return res.json(response);
     }
 
-    // Update last login
-    user.lastLogin = new Date();
+    const statusToken = user.createRegistrationStatusToken();
     await user.save();
 
-    // Generate tokens
-    const token = generateToken(user._id);
-    const refreshToken = generateRefreshToken(user._id);
-
-    // Log successful login
-    await AuditLog.logEvent({
+    await sendTemplateEmail('registration_status_link', {
+      to: user.email,
       userId: user._id,
-      action: 'user_login',
-      resourceType: 'user',
-      details: { email },
-      ipAddress: req.ip,
-      userAgent: req.get('User-Agent'),
-      severity: 'low'
-    });
-
-    res.json({
-      success: true,
-      message: 'Login successful',
       data: {
-        user: user.getPublicProfile(),
-        token,
-        refreshToken
+        fullName: user.fullName,
+        statusUrl: getFrontendUrl(`/registration-status?email=${encodeURIComponent(user.email)}&token=${statusToken}`),
+        expiresInDays: Math.round(authConfig.registrationStatusTokenTtlMs / 86400000)
       }
     });
+
+    res.json(response);
   } catch (error) {
-    console.error('Login error:', error);
+    console.error('Registration status link error:', error);
     res.status(500).json({
       success: false,
-      message: 'Login failed'
+      message: 'Failed to send registration status link'
     });
   }
 });
 
-// Admin login (special endpoint for admin panel)
-router.post('/admin/login', validateUserLogin, async (req, res) => {
+// Explain why a user whose registration is not approved cannot sign in
+const sendRegistrationNotApproved = (res, user) => {
+  let message = 'Account not yet approved';
+  if (user.registrationStatus === 'pending_payment') {
+    message = 'Please complete your registration with payment proof';
+  } else if (user.registrationStatus === 'payment_submitted') {
+    message = 'Your registration is pending admin approval';
+  } else if (user.registrationStatus === 'rejected') {
+    message = 'Your registration has been rejected. You can upload a new payment proof to resubmit it.';
+  }
+
+  return res.status(403).json({
+    success: false,
+    message: message,
+    registrationStatus: user.registrationStatus
+  });
+};
+
+// Finish a user login once the credentials have been checked: apply the
+// email verification policy and session limit, then issue the token pair
+const completeUserLogin = async (req, res, user, details = {}) => {
+  if (authConfig.emailVerificationRequired === 'login' && !user.isEmailVerified) {
+    return res.status(403).json({
+      success: false,
+      message: 'Please verify your email address before logging in',
+      emailVerified: false
+    });
+  }
+
+  const sessionLimit = await enforceSessionLimit(user, req);
+  if (!sessionLimit.allowed) {
+    return res.status(409).json({
+      success: false,
+      message: `You are already signed in on ${sessionLimit.limit} devices, the maximum for your plan. Sign out on another device and try again.`,
+      sessionLimit: sessionLimit.limit
+    });
+  }
+
+  // Update last login
+  user.lastLogin = new Date();
+  await user.save();
+
+  // Generate tokens
+  const { token, refreshToken } = await createUserSession(user, req);
+
+  // Log successful login
+  await AuditLog.logEvent({
+    userId: user._id,
+    action: 'user_login',
+    resourceType: 'user',
+    details: { email: user.email, ...details },
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent'),
+    severity: 'low'
+  });
+
+  res.json({
+    success: true,
+    message: 'Login successful',
+    data: {
+      user: user.getPublicProfile(),
+      token,
+      refreshToken
+    }
+  });
+};
+
+// Email a link for uploading a new payment proof (rejected or unpaid registrations)
+router.post('/payment-proof/resubmit-link', emailLimiter, validatePaymentResubmitLink, async (req, res) => {
+  // Same response either way so accounts can't be probed
+  const response = {
+    success: true,
+    message: 'If this registration can be resubmitted, a link to upload a new payment proof has been sent.'
+  };
+
   try {
-    const { email, password } = req.body;
+    const { email } = req.body;
 
-    // Check for hardcoded admin credentials
-    if (email === process.env.ADMIN_EMAIL && password === process.env.ADMIN_PASSWORD) {
-      // Create or find admin user
-      let user = await User.findOne({ email });
-      if (!user) {
-        user = new User({
-          email,
-          password,
-          fullName: 'RX Admin',
-          subscriptionTier: 'enterprise',
-          subscriptionStatus: 'active'
-        });
-        await user.save();
+    const user = await User.findOne({ email });
+    if (!user || !user.canResubmitPaymentProof()) {
+      return res.json(response);
+    }
 
-        // Create admin record
-        const adminUser = new AdminUser({
-          userId: user._id,
-          role: 'super_admin'
-        });
-        await adminUser.save();
-      }
+    const resubmitToken = user.createPaymentResubmitToken();
+    await user.save();
 
-      // Generate tokens
-      const token = generateToken(user._id);
-      const refreshToken = generateRefreshToken(user._id);
+    const resubmitUrl = getFrontendUrl(`/resubmit-payment?email=${encodeURIComponent(user.email)}&token=${resubmitToken}`);
+    const expiresInHours = Math.round(authConfig.paymentResubmitTokenTtlMs / 3600000);
 
-      // Log admin login
-      await AuditLog.logEvent({
-        userId: user._id,
-        action: 'admin_login',
-        resourceType: 'admin',
-        details: { email, method: 'hardcoded_credentials' },
-        ipAddress: req.ip,
-        userAgent: req.get('User-Agent'),
-        severity: 'medium'
-      });
+    await sendTemplateEmail('payment_resubmit_link', {
+      to: user.email,
+      userId: user._id,
+      data: { fullName: user.fullName, resubmitUrl, expiresInHours }
+    });
 
-      return res.json({
-        success: true,
-        message: 'Admin login successful',
-        data: {
-          user: user.getPublicProfile(),
-          token,
-          refreshToken,
-          isAdmin: true
-        }
+    res.json(response);
+  } catch (error) {
+    console.error('Payment resubmit link error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send payment proof link'
+    });
+  }
+});
+
+// Upload a new payment proof for a rejected or unpaid registration,
+// authenticated by email plus a resubmission token or the account password
+router.post('/payment-proof', upload.single('paymentProof'), validatePaymentResubmit, validatePaymentDetails, async (req, res) => {
+  let paymentSubmission;
+  try {
+    const { email, token, password } = req.body;
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Payment proof image is required'
       });
     }
 
-    // Regular admin login flow
     const user = await User.findOne({ email });
     if (!user) {
       return res.status(401).json({
         success: false,
-        message: 'Invalid admin credentials'
+        message: 'Invalid credentials'
       });
     }
 
-    // Check if user is admin
-    const isAdmin = await AdminUser.isAdmin(user._id);
-    if (!isAdmin) {
-      await AuditLog.logEvent({
-        userId: user._id,
-        action: 'unauthorized_admin_login_attempt',
-        resourceType: 'admin',
-        details: { email },
-        ipAddress: req.ip,
-        userAgent: req.get('User-Agent'),
-        severity: 'high',
-        status: 'failure'
-      });
+    if (token) {
+      if (!user.verifyPaymentResubmitToken(token)) {
+        return res.status(401).json({
+          success: false,
+          message: 'Payment proof link is invalid or has expired'
+        });
+      }
+    } else {
+      if (user.isLocked) {
+        return sendAccountLocked(res, user);
+      }
 
-      return res.status(403).json({
-        success: false,
-        message: 'Admin access required'
-      });
+      const isPasswordValid = await user.comparePassword(password);
+      if (!isPasswordValid) {
+        await AuditLog.logEvent({
+          userId: user._id,
+          action: 'payment_proof_resubmit_failed',
+          resourceType: 'user',
+          details: { email, reason: 'invalid_password' },
+          ipAddress: req.ip,
+          userAgent: req.get('User-Agent'),
+          severity: 'medium',
+          status: 'failure'
+        });
+
+        if (user.isLocked) {
+          await handleAccountLocked(req, user);
+          return sendAccountLocked(res, user);
+        }
+
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid credentials'
+        });
+      }
     }
 
-    // Check password
-    const isPasswordValid = await user.comparePassword(password);
-    if (!isPasswordValid) {
-      return res.status(401).json({
+    if (!user.canResubmitPaymentProof()) {
+      return res.status(409).json({
         success: false,
-        message: 'Invalid admin credentials'
+        message: user.registrationStatus === 'payment_submitted'
+          ? 'Your payment proof is already awaiting review'
+          : 'Your registration has already been approved',
+        registrationStatus: user.registrationStatus
       });
     }
 
-    // Update last login
-    user.lastLogin = new Date();
+    if (!await checkPaymentReference(res, user._id, req.body.referenceNumber)) {
+      return;
+    }
+
+    // Only store the file once the request is authorized
+    await upload.store(req);
+
+    const previousStatus = user.registrationStatus;
+    user.submitPaymentProof();
+    const statusToken = user.createRegistrationStatusToken();
     await user.save();
 
-    // Update admin last login
-    await AdminUser.findOneAndUpdate(
-      { userId: user._id },
-      { lastAdminLogin: new Date() }
-    );
+    paymentSubmission = await PaymentSubmission.submit(user._id, getPaymentSubmissionDetails(req));
+    const imageMatches = paymentSubmission.countImageMatches();
 
-    // Generate tokens
-    const token = generateToken(user._id);
-    const refreshToken = generateRefreshToken(user._id);
+    try {
+      await sendRegistrationReceivedEmail(user);
+    } catch (emailError) {
+      console.error('Registration received email error:', emailError);
+    }
 
-    // Log successful admin login
+    // Log resubmission
     await AuditLog.logEvent({
       userId: user._id,
-      action: 'admin_login',
-      resourceType: 'admin',
-      details: { email },
+      action: 'payment_proof_resubmitted',
+      resourceType: 'user',
+      resourceId: user._id.toString(),
+      details: {
+        email: user.email,
+        previousStatus,
+        paymentSubmissionId: paymentSubmission._id,
+        duplicateProofs: imageMatches.duplicate,
+        similarProofs: imageMatches.similar,
+        method: token ? 'token' : 'password'
+      },
       ipAddress: req.ip,
       userAgent: req.get('User-Agent'),
-      severity: 'medium'
+      severity: imageMatches.duplicate > 0 ? 'medium' : 'low',
+      status: imageMatches.duplicate > 0 ? 'warning' : 'success'
     });
 
     res.json({
       success: true,
-      message: 'Admin login successful',
+      message: 'Payment proof submitted successfully. Please wait for admin confirmation.',
       data: {
-        user: user.getPublicProfile(),
-        token,
-        refreshToken,
-        isAdmin: true
+        user: {
+          id: user._id,
+          email: user.email,
+          fullName: user.fullName,
+          registrationStatus: user.registrationStatus,
+          paymentStatus: user.paymentStatus,
+          paymentProofSubmittedAt: user.paymentProofSubmittedAt
+        },
+        paymentSubmission: paymentSubmission.getPublicInfo(),
+        statusToken
       }
     });
   } catch (error) {
-    console.error('Admin login error:', error);
+    if (!paymentSubmission) {
+      await upload.discard(req);
+    }
+
+    console.error('Payment proof resubmit error:', error);
     res.status(500).json({
       success: false,
-      message: 'Admin login failed'
+      message: 'Failed to submit payment proof'
     });
   }
 });
 
-// Get current user
-router.get('/me', authenticate, async (req, res) => {
+// Login user
+router.post('/login', validateUserLogin, async (req, res) => {
   try {
-    res.json({
-      success: true,
-      data: {
-        user: req.user.getPublicProfile()
-      }
-    });
-  } catch (error) {
-    console.error('Get user error:', error);
-    res.status(500).json({
-      success: false,
+    const { email, password } = req.body;
+
+    // Find user by email
+    const user = await User.findOne({ email });
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid credentials'
+      });
+    }
+
+    // Check if user registration is approved
+    if (user.registrationStatus !== 'approved') {
+      return sendRegistrationNotApproved(res, user);
+    }
+
+    if (user.isLocked) {
+      return sendAccountLocked(res, user);
+    }
+
+    // Check password
+    const isPasswordValid = await user.comparePassword(password);
+    if (!isPasswordValid) {
+      await AuditLog.logEvent({
+        userId: user._id,
+        action: 'login_failed',
+        resourceType: 'user',
+        details: { email, reason: 'invalid_password' },
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent'),
+        severity: 'medium',
+        status: 'failure'
+      });
+
+      if (user.isLocked) {
+        await handleAccountLocked(req, user);
+        return sendAccountLocked(res, user);
+      }
+
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid credentials'
+      });
+    }
+
+    return completeUserLogin(req, res, user);
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Login failed'
+    });
+  }
+});
+
+// Passwordless login: email a single-use magic link and 6-digit code
+router.post('/login/passwordless', passwordlessIpLimiter, validatePasswordlessRequest, passwordlessEmailLimiter, async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    // Same response whether or not a code was sent, so accounts can't be probed
+    const response = {
+      success: true,
+      message: 'If an approved account exists for this email, a login link and code have been sent'
+    };
+
+    const user = await User.findOne({ email });
+    if (!user || user.registrationStatus !== 'approved' || user.isLocked) {
+      return res.json(response);
+    }
+
+    const { token, code } = user.createLoginCode();
+    await user.save();
+
+    const loginUrl = getFrontendUrl(`/login/magic?token=${token}`);
+    const expiresInMinutes = Math.round(authConfig.loginCodeTtlMs / 60000);
+
+    await sendTemplateEmail('login_link', {
+      to: user.email,
+      userId: user._id,
+      data: { fullName: user.fullName, loginUrl, code, expiresInMinutes }
+    });
+
+    // Log login code request
+    await AuditLog.logEvent({
+      userId: user._id,
+      action: 'login_code_requested',
+      resourceType: 'user',
+      resourceId: user._id.toString(),
+      details: { email },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      severity: 'low'
+    });
+
+    res.json(response);
+  } catch (error) {
+    console.error('Passwordless login request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send login code'
+    });
+  }
+});
+
+// Passwordless login: redeem a magic link token, or an email and code
+router.post('/login/passwordless/verify', passwordlessIpLimiter, validatePasswordlessVerify, async (req, res) => {
+  try {
+    const { token, email, code } = req.body;
+
+    const user = token
+      ? await User.findOne({ 'loginCode.tokenHash': hashToken(token) })
+      : await User.findOne({ email });
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired login code'
+      });
+    }
+
+    // Check if user registration is approved
+    if (user.registrationStatus !== 'approved') {
+      return sendRegistrationNotApproved(res, user);
+    }
+
+    if (user.isLocked) {
+      return sendAccountLocked(res, user);
+    }
+
+    if (!user.verifyLoginCode({ token, code })) {
+      // Wrong codes count towards the lockout, and each code only gets a few tries
+      if (user.loginCode?.expiresAt) {
+        user.loginCode.attempts += 1;
+        if (user.loginCode.attempts >= authConfig.loginCodeMaxAttempts) {
+          user.loginCode = undefined;
+        }
+      }
+      await user.registerFailedLogin();
+
+      await AuditLog.logEvent({
+        userId: user._id,
+        action: 'login_failed',
+        resourceType: 'user',
+        details: { email: user.email, reason: 'invalid_login_code' },
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent'),
+        severity: 'medium',
+        status: 'failure'
+      });
+
+      if (user.isLocked) {
+        await handleAccountLocked(req, user);
+        return sendAccountLocked(res, user);
+      }
+
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired login code'
+      });
+    }
+
+    // The code is single-use, and receiving it proves the user owns the address
+    user.loginCode = undefined;
+    user.isEmailVerified = true;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpires = undefined;
+    user.unlock();
+
+    return completeUserLogin(req, res, user, { method: token ? 'magic_link' : 'email_code' });
+  } catch (error) {
+    console.error('Passwordless login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Login failed'
+    });
+  }
+});
+
+// Send the browser back to the frontend after an OpenID Connect sign-in
+const redirectOidcResult = (res, params) => {
+  return res.redirect(getFrontendUrl(`/oidc/callback?${new URLSearchParams(params)}`));
+};
+
+// The browser that starts an OpenID Connect sign-in gets a cookie holding a
+// hash of the state, and the callback only accepts a state that matches it, so
+// a callback URL from someone else's sign-in can't log this browser in
+const OIDC_STATE_COOKIE = 'oidc_state';
+
+const oidcStateCookieOptions = (req) => ({
+  httpOnly: true,
+  sameSite: 'lax',
+  secure: process.env.NODE_ENV === 'production',
+  path: `${req.baseUrl}/oidc`
+});
+
+// Read the state cookie from the request (there is no cookie parser installed)
+const readOidcStateCookie = (req) => {
+  for (const part of (req.headers.cookie || '').split(';')) {
+    const [name, ...value] = part.trim().split('=');
+    if (name === OIDC_STATE_COOKIE) {
+      return value.join('=');
+    }
+  }
+  return undefined;
+};
+
+// List the OpenID Connect providers users can sign in with
+router.get('/oidc/providers', (req, res) => {
+  res.json({
+    success: true,
+    data: { providers: listProviders() }
+  });
+});
+
+// Start an OpenID Connect sign-in by sending the browser to the provider
+router.get('/oidc/:provider/start', async (req, res) => {
+  try {
+    const provider = getOidcProvider(req.params.provider);
+    if (!provider) {
+      return res.status(404).json({
+        success: false,
+        message: 'Unknown sign-in provider'
+      });
+    }
+
+    const { state, nonce, codeVerifier, codeChallenge } = createLoginSecrets();
+    await OidcState.create({
+      state,
+      provider: provider.id,
+      nonce,
+      codeVerifier,
+      expiresAt: new Date(Date.now() + oidcConfig.stateTtlMs)
+    });
+    res.cookie(OIDC_STATE_COOKIE, hashToken(state), {
+      ...oidcStateCookieOptions(req),
+      maxAge: oidcConfig.stateTtlMs
+    });
+
+    const loginHint = typeof req.query.login_hint === 'string' ? req.query.login_hint : undefined;
+    res.redirect(await buildAuthorizationUrl(provider, { state, nonce, codeChallenge, loginHint }));
+  } catch (error) {
+    console.error('OIDC start error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start sign-in'
+    });
+  }
+});
+
+// Provider redirects back here; identify (or create) the user and hand the
+// frontend a one-time code it can exchange for tokens
+router.get('/oidc/:provider/callback', async (req, res) => {
+  try {
+    const provider = getOidcProvider(req.params.provider);
+    const { code, state, error: providerError } = req.query;
+
+    const stateCookie = readOidcStateCookie(req);
+    res.clearCookie(OIDC_STATE_COOKIE, oidcStateCookieOptions(req));
+    const stateMatchesBrowser = typeof state === 'string' && stateCookie === hashToken(state);
+
+    const loginState = stateMatchesBrowser && await OidcState.findOneAndDelete({
+      state,
+      provider: req.params.provider,
+      loginCodeHash: { $exists: false },
+      expiresAt: { $gt: new Date() }
+    });
+
+    if (!provider || !loginState) {
+      return redirectOidcResult(res, { error: 'invalid_state' });
+    }
+    if (providerError || !code) {
+      return redirectOidcResult(res, { error: providerError || 'missing_code' });
+    }
+
+    const tokens = await exchangeCode(provider, { code, codeVerifier: loginState.codeVerifier });
+    const claims = await verifyIdToken(provider, tokens.id_token, { nonce: loginState.nonce });
+
+    const email = claims.email?.toLowerCase();
+    const emailVerified = claims.email_verified === true || claims.email_verified === 'true';
+    let isNewUser = false;
+
+    let user = await User.findByIdentity(provider.id, claims.sub);
+    if (!user) {
+      if (!email) {
+        return redirectOidcResult(res, { error: 'email_required' });
+      }
+
+      user = await User.findOne({ email });
+      if (user) {
+        // Only link to an existing account when the provider vouches for the email
+        if (!emailVerified) {
+          return redirectOidcResult(res, { error: 'email_not_verified' });
+        }
+
+        user.linkIdentity({ provider: provider.id, subject: claims.sub, email });
+        user.isEmailVerified = true;
+        await user.save();
+
+        await AuditLog.logEvent({
+          userId: user._id,
+          action: 'oidc_identity_linked',
+          resourceType: 'user',
+          resourceId: user._id.toString(),
+          details: { provider: provider.id, email },
+          ipAddress: req.ip,
+          userAgent: req.get('User-Agent'),
+          severity: 'medium'
+        });
+      } else {
+        // New users sign in with the provider; the random password can be
+        // replaced through the forgot-password flow if they ever want one
+        const fullName = claims.name || [claims.given_name, claims.family_name].filter(Boolean).join(' ');
+        user = new User({
+          email,
+          password: generateSecureToken(),
+          fullName: fullName || email.split('@')[0],
+          isEmailVerified: emailVerified,
+          registrationStatus: 'pending_payment',
+          identities: [{ provider: provider.id, subject: claims.sub, email }]
+        });
+        await user.save();
+        isNewUser = true;
+
+        if (!emailVerified) {
+          try {
+            await sendVerificationEmail(user);
+          } catch (emailError) {
+            console.error('Verification email error:', emailError);
+          }
+        }
+
+        await AuditLog.logEvent({
+          userId: user._id,
+          action: 'user_registered',
+          resourceType: 'user',
+          resourceId: user._id.toString(),
+          details: { email, fullName: user.fullName, method: 'oidc', provider: provider.id },
+          ipAddress: req.ip,
+          userAgent: req.get('User-Agent'),
+          severity: 'low'
+        });
+      }
+    }
+
+    const loginCode = generateSecureToken();
+    await OidcState.create({
+      state: loginState.state,
+      provider: provider.id,
+      loginCodeHash: hashToken(loginCode),
+      userId: user._id,
+      isNewUser,
+      expiresAt: new Date(Date.now() + oidcConfig.loginCodeTtlMs)
+    });
+
+    redirectOidcResult(res, { code: loginCode });
+  } catch (error) {
+    console.error('OIDC callback error:', error);
+    redirectOidcResult(res, { error: 'sign_in_failed' });
+  }
+});
+
+// Exchange the one-time code from the OpenID Connect callback for tokens
+router.post('/oidc/exchange', validateOidcExchange, async (req, res) => {
+  try {
+    const loginState = await OidcState.findOneAndDelete({
+      loginCodeHash: hashToken(req.body.code),
+      expiresAt: { $gt: new Date() }
+    });
+
+    const user = loginState && await User.findById(loginState.userId);
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Sign-in code is invalid or has expired'
+      });
+    }
+
+    // Check if user registration is approved
+    if (user.registrationStatus !== 'approved') {
+      return sendRegistrationNotApproved(res, user);
+    }
+
+    if (user.isLocked) {
+      return sendAccountLocked(res, user);
+    }
+
+    return completeUserLogin(req, res, user, { method: 'oidc', provider: loginState.provider });
+  } catch (error) {
+    console.error('OIDC exchange error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Login failed'
+    });
+  }
+});
+
+// Issue admin tokens once every required login factor has been checked
+const issueAdminTokens = async (req, user, { mfa = false, details = {} } = {}) => {
+  // Update last login
+  user.lastLogin = new Date();
+  await user.save();
+
+  // Update admin last login
+  await AdminUser.findOneAndUpdate(
+    { userId: user._id },
+    { lastAdminLogin: new Date() }
+  );
+
+  // Generate tokens
+  const { token, refreshToken } = await createUserSession(user, req, { mfa, kind: 'admin' });
+
+  // Log successful admin login
+  await AuditLog.logEvent({
+    userId: user._id,
+    action: 'admin_login',
+    resourceType: 'admin',
+    details: { email: user.email, mfa, ...details },
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent'),
+    severity: 'medium'
+  });
+
+  return {
+    user: user.getPublicProfile(),
+    token,
+    refreshToken,
+    isAdmin: true,
+    passwordExpired: isAdminPasswordExpired(user)
+  };
+};
+
+// After a correct password, either hand out a 2FA challenge or log the admin in
+const completeAdminPasswordLogin = async (req, res, user) => {
+  const adminUser = await AdminUser.findOne({ userId: user._id, isActive: true });
+  if (!adminUser) {
+    return res.status(403).json({
+      success: false,
+      message: 'Admin access required'
+    });
+  }
+
+  if (await adminUser.isTwoFactorRequired()) {
+    const challengeId = adminUser.startTwoFactorChallenge();
+    await adminUser.save();
+    const challengeToken = generateTwoFactorChallenge(user._id, challengeId);
+
+    // Log challenge
+    await AuditLog.logEvent({
+      userId: user._id,
+      action: 'admin_2fa_challenge_issued',
+      resourceType: 'admin',
+      details: { email: user.email, setupRequired: !adminUser.twoFactorEnabled },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      severity: 'low'
+    });
+
+    return res.json({
+      success: true,
+      message: adminUser.twoFactorEnabled
+        ? 'Two-factor authentication required'
+        : 'Two-factor authentication setup required',
+      data: {
+        twoFactorRequired: true,
+        twoFactorSetupRequired: !adminUser.twoFactorEnabled,
+        challengeToken
+      }
+    });
+  }
+
+  const data = await issueAdminTokens(req, user);
+
+  res.json({
+    success: true,
+    message: 'Admin login successful',
+    data
+  });
+};
+
+// Admins enrolling in 2FA during a forced login only hold a challenge token
+const authenticateTwoFactorSetup = async (req, res, next) => {
+  if (!req.body.challengeToken) {
+    return authenticateAdmin(req, res, next);
+  }
+
+  try {
+    const decoded = verifyTwoFactorChallenge(req.body.challengeToken);
+    const user = await User.findById(decoded.userId).select('-password');
+    if (!user || !(await AdminUser.hasTwoFactorChallenge(user._id, decoded.jti))) {
+      throw new Error('Challenge not found');
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid or expired challenge token. Please log in again.'
+    });
+  }
+};
+
+// Admin login (special endpoint for admin panel)
+router.post('/admin/login', validateUserLogin, async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    const user = await User.findOne({ email });
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid admin credentials'
+      });
+    }
+
+    if (user.isLocked) {
+      return sendAccountLocked(res, user);
+    }
+
+    // Check password first so the response does not reveal who is an admin
+    const isPasswordValid = await user.comparePassword(password);
+    if (!isPasswordValid) {
+      await AuditLog.logEvent({
+        userId: user._id,
+        action: 'admin_login_failed',
+        resourceType: 'admin',
+        details: { email, reason: 'invalid_password' },
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent'),
+        severity: 'medium',
+        status: 'failure'
+      });
+
+      if (user.isLocked) {
+        await handleAccountLocked(req, user);
+        return sendAccountLocked(res, user);
+      }
+
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid admin credentials'
+      });
+    }
+
+    // Check if user is admin
+    const isAdmin = await AdminUser.isAdmin(user._id);
+    if (!isAdmin) {
+      await AuditLog.logEvent({
+        userId: user._id,
+        action: 'unauthorized_admin_login_attempt',
+        resourceType: 'admin',
+        details: { email },
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent'),
+        severity: 'high',
+        status: 'failure'
+      });
+
+      return res.status(403).json({
+        success: false,
+        message: 'Admin access required'
+      });
+    }
+
+    await completeAdminPasswordLogin(req, res, user);
+  } catch (error) {
+    console.error('Admin login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Admin login failed'
+    });
+  }
+});
+
+// Complete an admin login with a TOTP code or a recovery code
+router.post('/admin/login/2fa', twoFactorLimiter, validateTwoFactorLogin, async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    let decoded;
+    try {
+      decoded = verifyTwoFactorChallenge(challengeToken);
+    } catch (error) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired challenge token. Please log in again.'
+      });
+    }
+
+    // Each code tried uses up an attempt on the challenge
+    const user = await User.findById(decoded.userId);
+    const adminUser = user && await AdminUser.claimTwoFactorChallengeAttempt(user._id, decoded.jti);
+    if (!adminUser) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired challenge token. Please log in again.'
+      });
+    }
+
+    let method;
+    let recoveryCodes;
+    if (adminUser.twoFactorEnabled) {
+      if (code && adminUser.verifyTwoFactorCode(code)) {
+        method = 'totp';
+      } else if (recoveryCode && adminUser.useRecoveryCode(recoveryCode)) {
+        method = 'recovery_code';
+      }
+    } else if (code && adminUser.verifyTwoFactorCode(code, { pending: true })) {
+      // Forced enrolment: the first valid code from the new authenticator activates 2FA
+      recoveryCodes = adminUser.activateTwoFactor();
+      method = 'totp_enrolment';
+    }
+
+    if (!method) {
+      await AuditLog.logEvent({
+        userId: user._id,
+        action: 'admin_2fa_failed',
+        resourceType: 'admin',
+        details: { email: user.email, usedRecoveryCode: !!recoveryCode },
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent'),
+        severity: 'high',
+        status: 'failure'
+      });
+
+      if (adminUser.twoFactorChallenge.attempts >= authConfig.twoFactorChallengeMaxAttempts) {
+        adminUser.twoFactorChallenge = undefined;
+        await adminUser.save();
+
+        return res.status(401).json({
+          success: false,
+          message: 'Too many invalid codes. Please log in again.'
+        });
+      }
+
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    // The challenge is single-use
+    adminUser.twoFactorChallenge = undefined;
+    await adminUser.save();
+
+    const data = await issueAdminTokens(req, user, {
+      mfa: true,
+      details: { twoFactorMethod: method }
+    });
+
+    if (recoveryCodes) {
+      data.recoveryCodes = recoveryCodes;
+    }
+    if (method === 'recovery_code') {
+      data.recoveryCodesRemaining = adminUser.twoFactorRecoveryCodes.length;
+    }
+
+    res.json({
+      success: true,
+      message: 'Admin login successful',
+      data
+    });
+  } catch (error) {
+    console.error('Admin 2FA login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Admin login failed'
+    });
+  }
+});
+
+// Get the current admin's 2FA status
+router.get('/admin/2fa', authenticateAdmin, async (req, res) => {
+  try {
+    const adminUser = await AdminUser.findOne({ userId: req.user._id, isActive: true })
+      .select('+twoFactorRecoveryCodes');
+
+    res.json({
+      success: true,
+      data: {
+        enabled: adminUser.twoFactorEnabled,
+        enabledAt: adminUser.twoFactorEnabledAt,
+        required: await adminUser.isTwoFactorRequired(),
+        recoveryCodesRemaining: (adminUser.twoFactorRecoveryCodes || []).length
+      }
+    });
+  } catch (error) {
+    console.error('Get 2FA status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get two-factor authentication status'
+    });
+  }
+});
+
+// Start 2FA enrolment: returns a new secret and otpauth:// URI for the QR code
+router.post('/admin/2fa/setup', authenticateTwoFactorSetup, async (req, res) => {
+  try {
+    const adminUser = await AdminUser.findOne({ userId: req.user._id, isActive: true });
+    if (adminUser.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const secret = generateTotpSecret();
+    adminUser.setTwoFactorSecret('twoFactorPendingSecret', secret);
+    await adminUser.save();
+
+    // Log setup start
+    await AuditLog.logEvent({
+      userId: req.user._id,
+      action: 'admin_2fa_setup_started',
+      resourceType: 'admin',
+      resourceId: adminUser._id.toString(),
+      details: { email: req.user.email },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      severity: 'medium'
+    });
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: {
+        secret,
+        otpauthUrl: buildOtpauthUrl({
+          secret,
+          accountName: req.user.email,
+          issuer: authConfig.twoFactorIssuer
+        })
+      }
+    });
+  } catch (error) {
+    console.error('2FA setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start two-factor authentication setup'
+    });
+  }
+});
+
+// Confirm enrolment with a code from the authenticator app
+router.post('/admin/2fa/enable', authenticateAdmin, validateTwoFactorCode, async (req, res) => {
+  try {
+    const adminUser = await AdminUser.findOne({ userId: req.user._id, isActive: true })
+      .select('+twoFactorPendingSecret +twoFactorLastUsedStep');
+
+    if (adminUser.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    if (!adminUser.twoFactorPendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start two-factor authentication setup first'
+      });
+    }
+
+    if (!adminUser.verifyTwoFactorCode(req.body.code, { pending: true })) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    const recoveryCodes = adminUser.activateTwoFactor();
+    await adminUser.save();
+
+    // Tokens without the 2FA claim no longer pass admin checks, so replace this session
+    if (req.session) {
+      await req.session.revoke('two_factor_enabled');
+    }
+    const { token, refreshToken } = await createUserSession(req.user, req, { mfa: true, kind: 'admin' });
+
+    // Log 2FA enabled
+    await AuditLog.logEvent({
+      userId: req.user._id,
+      action: 'admin_2fa_enabled',
+      resourceType: 'admin',
+      resourceId: adminUser._id.toString(),
+      details: { email: req.user.email },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      severity: 'high'
+    });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+      data: {
+        recoveryCodes,
+        token,
+        refreshToken
+      }
+    });
+  } catch (error) {
+    console.error('2FA enable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to enable two-factor authentication'
+    });
+  }
+});
+
+// Turn 2FA off (not allowed while super admins require it)
+router.post('/admin/2fa/disable', authenticateAdmin, validateTwoFactorCode, async (req, res) => {
+  try {
+    const { code, recoveryCode } = req.body;
+
+    const adminUser = await AdminUser.findOne({ userId: req.user._id, isActive: true })
+      .select('+twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep');
+
+    if (!adminUser.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (await SystemSetting.getValue('requireAdminTwoFactor', false)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is required for all admins'
+      });
+    }
+
+    const isValid = (code && adminUser.verifyTwoFactorCode(code)) ||
+      (recoveryCode && adminUser.useRecoveryCode(recoveryCode));
+    if (!isValid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    adminUser.deactivateTwoFactor();
+    await adminUser.save();
+
+    // Log 2FA disabled
+    await AuditLog.logEvent({
+      userId: req.user._id,
+      action: 'admin_2fa_disabled',
+      resourceType: 'admin',
+      resourceId: adminUser._id.toString(),
+      details: { email: req.user.email },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      severity: 'high'
+    });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to disable two-factor authentication'
+    });
+  }
+});
+
+// Replace the recovery codes (requires a current TOTP code)
+router.post('/admin/2fa/recovery-codes', authenticateAdmin, validateTwoFactorCode, async (req, res) => {
+  try {
+    const adminUser = await AdminUser.findOne({ userId: req.user._id, isActive: true })
+      .select('+twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep');
+
+    if (!adminUser.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!adminUser.verifyTwoFactorCode(req.body.code)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    const recoveryCodes = adminUser.generateRecoveryCodes();
+    await adminUser.save();
+
+    // Log regeneration
+    await AuditLog.logEvent({
+      userId: req.user._id,
+      action: 'admin_2fa_recovery_codes_regenerated',
+      resourceType: 'admin',
+      resourceId: adminUser._id.toString(),
+      details: { email: req.user.email },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      severity: 'medium'
+    });
+
+    res.json({
+      success: true,
+      message: 'New recovery codes generated. Previous codes no longer work.',
+      data: { recoveryCodes }
+    });
+  } catch (error) {
+    console.error('2FA recovery codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate recovery codes'
+    });
+  }
+});
+
+// Exchange a refresh token for a new access/refresh pair
+router.post('/refresh', validateRefreshToken, async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    let decoded;
+    try {
+      decoded = verifyRefreshToken(refreshToken);
+    } catch (error) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired refresh token'
+      });
+    }
+
+    const storedToken = await RefreshToken.findOne({ jti: decoded.jti });
+    if (!storedToken || storedToken.userId.toString() !== decoded.userId) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired refresh token'
+      });
+    }
+
+    // Rotate: each refresh token can be exchanged exactly once
+    const consumedToken = await RefreshToken.consume(decoded.jti);
+    if (!consumedToken) {
+      // Re-read the token, since it may have been used or revoked after it was loaded
+      const currentToken = await RefreshToken.findOne({ jti: decoded.jti });
+
+      // Revoked tokens (logout, password change, session limit, admin action)
+      // belong to a family that is already dead, so just refuse them
+      if (!currentToken || currentToken.revokedAt) {
+        return res.status(401).json({
+          success: false,
+          message: 'Refresh token has been revoked. Please log in again.'
+        });
+      }
+
+      // A used token came back - assume it was stolen and kill the whole family
+      await RefreshToken.revokeFamily(storedToken.family, 'reuse_detected');
+      await Session.updateOne(
+        { refreshFamily: storedToken.family, revokedAt: null },
+        { revokedAt: new Date(), revokedReason: 'reuse_detected' }
+      );
+
+      await AuditLog.logEvent({
+        userId: storedToken.userId,
+        action: 'refresh_token_reuse_detected',
+        resourceType: 'user',
+        resourceId: storedToken.userId.toString(),
+        details: {
+          family: storedToken.family,
+          jti: storedToken.jti,
+          usedAt: currentToken.usedAt
+        },
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent'),
+        severity: 'critical',
+        status: 'failure'
+      });
+
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token has already been used. Please log in again.'
+      });
+    }
+
+    const user = await User.findById(consumedToken.userId);
+    if (!user) {
+      await RefreshToken.revokeFamily(consumedToken.family, 'user_not_found');
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid refresh token - user not found'
+      });
+    }
+
+    let session = await Session.findOne({ refreshFamily: consumedToken.family });
+    if (session && session.revokedAt) {
+      await RefreshToken.revokeFamily(consumedToken.family, 'session_revoked');
+      return res.status(401).json({
+        success: false,
+        message: 'Session has been revoked. Please log in again.'
+      });
+    }
+
+    if (!session) {
+      // Logins from before session tracking get their session on first refresh
+      session = new Session({
+        userId: user._id,
+        refreshFamily: consumedToken.family,
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent'),
+        deviceLabel: describeDevice(req.get('User-Agent')),
+        kind: consumedToken.mfa ? 'admin' : 'user',
+        mfa: consumedToken.mfa
+      });
+    }
+
+    // Generate tokens
+    const newRefreshToken = await generateRefreshToken(user._id, {
+      family: consumedToken.family,
+      mfa: consumedToken.mfa,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+    const { jti: newJti, exp } = verifyRefreshToken(newRefreshToken);
+
+    consumedToken.replacedBy = newJti;
+    await consumedToken.save();
+
+    // The session lives as long as its newest refresh token
+    session.lastSeenAt = new Date();
+    session.lastIpAddress = req.ip;
+    session.expiresAt = new Date(exp * 1000);
+    await session.save();
+
+    const token = generateToken(user, { mfa: consumedToken.mfa, sessionId: session._id });
+
+    // Log token rotation
+    await AuditLog.logEvent({
+      userId: user._id,
+      action: 'refresh_token_rotated',
+      resourceType: 'user',
+      resourceId: user._id.toString(),
+      details: {
+        family: consumedToken.family,
+        previousJti: consumedToken.jti,
+        newJti: consumedToken.replacedBy
+      },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      severity: 'low'
+    });
+
+    res.json({
+      success: true,
+      message: 'Token refreshed successfully',
+      data: {
+        token,
+        refreshToken: newRefreshToken
+      }
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to refresh token'
+    });
+  }
+});
+
+// Request a password reset link
+router.post('/forgot-password', emailLimiter, validatePasswordReset, async (req, res) => {
+  // Same answer whether or not the account exists so emails cannot be enumerated
+  const genericResponse = {
+    success: true,
+    message: 'If an account exists for this email, a password reset link has been sent.'
+  };
+
+  try {
+    const { email } = req.body;
+
+    const user = await User.findOne({ email });
+    if (!user) {
+      return res.json(genericResponse);
+    }
+
+    const resetToken = user.createPasswordResetToken();
+    await user.save();
+
+    const resetUrl = getFrontendUrl(`/reset-password?token=${resetToken}`);
+    const expiresInMinutes = Math.round(authConfig.passwordResetTokenTtlMs / 60000);
+
+    try {
+      await sendTemplateEmail('password_reset', {
+        to: user.email,
+        userId: user._id,
+        data: { fullName: user.fullName, resetUrl, expiresInMinutes }
+      });
+    } catch (emailError) {
+      console.error('Password reset email error:', emailError);
+    }
+
+    // Log reset request
+    await AuditLog.logEvent({
+      userId: user._id,
+      action: 'password_reset_requested',
+      resourceType: 'user',
+      resourceId: user._id.toString(),
+      details: { email },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      severity: 'medium'
+    });
+
+    res.json(genericResponse);
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to process password reset request'
+    });
+  }
+});
+
+// Reset password with a token from the reset email
+router.post('/reset-password', validatePasswordUpdate, async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    const user = await User.findOne({
+      passwordResetToken: hashToken(token),
+      passwordResetExpires: { $gt: new Date() }
+    }).select('+passwordHistory');
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password reset token is invalid or has expired'
+      });
+    }
+
+    const passwordErrors = await checkNewPassword(user, password);
+    if (passwordErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: passwordErrors.join('. ')
+      });
+    }
+
+    // Update password (will be hashed by pre-save middleware) and burn the token
+    user.setPassword(password);
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    user.unlock();
+    await user.save();
+
+    // Sign out every existing session
+    await revokeUserTokens(user._id, 'password_reset');
+
+    // Log password reset
+    await AuditLog.logEvent({
+      userId: user._id,
+      action: 'password_reset_completed',
+      resourceType: 'user',
+      resourceId: user._id.toString(),
+      details: { method: 'reset_token' },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      severity: 'medium'
+    });
+
+    res.json({
+      success: true,
+      message: 'Password has been reset successfully. Please log in with your new password.'
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reset password'
+    });
+  }
+});
+
+// Verify email address from the link in the verification email
+router.get('/verify-email/:token', async (req, res) => {
+  try {
+    const user = await User.findOne({
+      emailVerificationToken: hashToken(req.params.token),
+      emailVerificationExpires: { $gt: new Date() }
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification link is invalid or has expired'
+      });
+    }
+
+    user.isEmailVerified = true;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpires = undefined;
+    await user.save();
+
+    // Log email verification
+    await AuditLog.logEvent({
+      userId: user._id,
+      action: 'email_verified',
+      resourceType: 'user',
+      resourceId: user._id.toString(),
+      details: { email: user.email },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      severity: 'low'
+    });
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully'
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to verify email'
+    });
+  }
+});
+
+// Resend the email verification link
+router.post('/resend-verification', emailLimiter, validateResendVerification, async (req, res) => {
+  const genericResponse = {
+    success: true,
+    message: 'If this email belongs to an unverified account, a new verification link has been sent.'
+  };
+
+  try {
+    const { email } = req.body;
+
+    const user = await User.findOne({ email });
+    if (!user || user.isEmailVerified) {
+      return res.json(genericResponse);
+    }
+
+    await sendVerificationEmail(user);
+
+    // Log resend
+    await AuditLog.logEvent({
+      userId: user._id,
+      action: 'email_verification_resent',
+      resourceType: 'user',
+      resourceId: user._id.toString(),
+      details: { email },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      severity: 'low'
+    });
+
+    res.json(genericResponse);
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to resend verification email'
+    });
+  }
+});
+
+// Get current user
+router.get('/me', authenticate, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        user: req.user.getPublicProfile()
+      }
+    });
+  } catch (error) {
+    console.error('Get user error:', error);
+    res.status(500).json({
+      success: false,
       message: 'Failed to get user information'
     });
   }
 });
 
+// Update the current user's profile
+router.patch('/me', authenticate, validateProfileUpdate, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    const updates = { fullName: req.body.fullName };
+    if (req.body.mobileNumber !== undefined) {
+      updates.mobileNumber = normalizePhoneNumber(req.body.mobileNumber);
+      if (!updates.mobileNumber) {
+        return sendInvalidMobileNumber(res);
+      }
+      if (await User.isMobileNumberTaken(updates.mobileNumber, user._id)) {
+        return sendMobileNumberTaken(res);
+      }
+    }
+
+    const before = {};
+    const after = {};
+    for (const field of ['fullName', 'mobileNumber']) {
+      if (updates[field] !== undefined && updates[field] !== user[field]) {
+        before[field] = user[field];
+        after[field] = updates[field];
+      }
+    }
+
+    if (after.fullName !== undefined) user.fullName = after.fullName;
+    if (after.mobileNumber !== undefined) user.setMobileNumber(after.mobileNumber);
+
+    if (Object.keys(after).length === 0) {
+      return res.json({
+        success: true,
+        message: 'No changes to save',
+        data: {
+          user: user.getPublicProfile()
+        }
+      });
+    }
+
+    await user.save();
+
+    // Log profile update
+    await AuditLog.logEvent({
+      userId: user._id,
+      action: 'profile_updated',
+      resourceType: 'user',
+      resourceId: user._id.toString(),
+      details: { before, after },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      severity: 'low'
+    });
+
+    res.json({
+      success: true,
+      message: 'Profile updated successfully',
+      data: {
+        user: user.getPublicProfile()
+      }
+    });
+  } catch (error) {
+    console.error('Update profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update profile'
+    });
+  }
+});
+
+// Send an SMS code to verify the current user's mobile number. Applicants
+// awaiting review can't sign in, so they send their email and registration
+// status token instead of a bearer token.
+router.post('/me/mobile/send-code', smsLimiter, validateStatusTokenAuth, authenticateUserOrStatusToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (!user.mobileNumber) {
+      return res.status(400).json({
+        success: false,
+        message: 'Add a mobile number to your profile first'
+      });
+    }
+
+    if (user.mobileVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Mobile number is already verified'
+      });
+    }
+
+    const { resendIntervalMs } = authConfig.mobileVerification;
+    const sentAt = user.mobileVerification?.sentAt;
+    if (sentAt && Date.now() - sentAt < resendIntervalMs) {
+      const retryAfterSeconds = Math.ceil((resendIntervalMs - (Date.now() - sentAt)) / 1000);
+      res.set('Retry-After', String(retryAfterSeconds));
+
+      return res.status(429).json({
+        success: false,
+        message: 'Please wait before requesting another code',
+        retryAfterSeconds
+      });
+    }
+
+    if (await User.isMobileNumberTaken(user.mobileNumber, user._id)) {
+      return sendMobileNumberTaken(res);
+    }
+
+    // The code is only stored once the SMS has gone out, so a failed send
+    // doesn't start the resend interval
+    const code = user.createMobileVerificationCode();
+
+    const expiresInMinutes = Math.round(authConfig.mobileVerification.codeTtlMs / 60000);
+    await sendSms({
+      to: user.mobileNumber,
+      body: `Your RX Lifestyle verification code is ${code}. It expires in ${expiresInMinutes} minutes.`
+    });
+
+    await user.save();
+
+    // Log code sent
+    await AuditLog.logEvent({
+      userId: user._id,
+      action: 'mobile_verification_sent',
+      resourceType: 'user',
+      resourceId: user._id.toString(),
+      details: { mobileNumber: user.mobileNumber },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      severity: 'low'
+    });
+
+    res.json({
+      success: true,
+      message: 'Verification code sent',
+      data: { expiresAt: user.mobileVerification.expiresAt }
+    });
+  } catch (error) {
+    console.error('Send mobile verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send verification code'
+    });
+  }
+});
+
+// Verify the current user's mobile number with the code sent by SMS (signed
+// in, or with the registration status token as for send-code)
+router.post('/me/mobile/verify', smsLimiter, validateStatusTokenAuth, authenticateUserOrStatusToken, validateMobileCode, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (user.mobileVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Mobile number is already verified'
+      });
+    }
+
+    if (await User.isMobileNumberTaken(user.mobileNumber, user._id)) {
+      return sendMobileNumberTaken(res);
+    }
+
+    const isValid = user.verifyMobileCode(req.body.code);
+    await user.save();
+
+    if (!isValid) {
+      await AuditLog.logEvent({
+        userId: user._id,
+        action: 'mobile_verification_failed',
+        resourceType: 'user',
+        resourceId: user._id.toString(),
+        details: { mobileNumber: user.mobileNumber },
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent'),
+        severity: 'medium',
+        status: 'failure'
+      });
+
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired verification code'
+      });
+    }
+
+    // Log verification
+    await AuditLog.logEvent({
+      userId: user._id,
+      action: 'mobile_verified',
+      resourceType: 'user',
+      resourceId: user._id.toString(),
+      details: { mobileNumber: user.mobileNumber },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      severity: 'low'
+    });
+
+    res.json({
+      success: true,
+      message: 'Mobile number verified successfully',
+      data: {
+        user: user.getPublicProfile()
+      }
+    });
+  } catch (error) {
+    console.error('Verify mobile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to verify mobile number'
+    });
+  }
+});
+
+// Start an email change; both the old and the new address must confirm
+router.post('/me/email-change', authenticate, emailLimiter, validateEmailChange, async (req, res) => {
+  try {
+    const { newEmail, password } = req.body;
+
+    const user = await User.findById(req.user._id);
+
+    if (newEmail === user.email) {
+      return res.status(400).json({
+        success: false,
+        message: 'New email must be different from your current email'
+      });
+    }
+
+    if (user.isLocked) {
+      return sendAccountLocked(res, user);
+    }
+
+    // Re-authenticate before touching the login identity
+    const isPasswordValid = await user.comparePassword(password);
+    if (!isPasswordValid) {
+      await AuditLog.logEvent({
+        userId: user._id,
+        action: 'email_change_failed',
+        resourceType: 'user',
+        details: { reason: 'invalid_password' },
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent'),
+        severity: 'medium',
+        status: 'failure'
+      });
+
+      if (user.isLocked) {
+        await handleAccountLocked(req, user);
+        return sendAccountLocked(res, user);
+      }
+
+      return res.status(401).json({
+        success: false,
+        message: 'Password is incorrect'
+      });
+    }
+
+    const existingUser = await User.findOne({ email: newEmail });
+    if (existingUser) {
+      return res.status(400).json({
+        success: false,
+        message: 'This email is already in use'
+      });
+    }
+
+    const { oldEmailToken, newEmailToken } = user.createEmailChangeRequest(newEmail);
+    await user.save();
+
+    const expiresInHours = Math.round(authConfig.emailChangeTokenTtlMs / 3600000);
+    const oldEmailUrl = getFrontendUrl(`/confirm-email-change?token=${oldEmailToken}`);
+    const newEmailUrl = getFrontendUrl(`/confirm-email-change?token=${newEmailToken}`);
+
+    await sendTemplateEmail('email_change_current', {
+      to: user.email,
+      userId: user._id,
+      data: { fullName: user.fullName, newEmail, confirmUrl: oldEmailUrl, expiresInHours }
+    });
+
+    await sendTemplateEmail('email_change_new', {
+      to: newEmail,
+      userId: user._id,
+      data: { fullName: user.fullName, confirmUrl: newEmailUrl, expiresInHours }
+    });
+
+    // Log email change request
+    await AuditLog.logEvent({
+      userId: user._id,
+      action: 'email_change_requested',
+      resourceType: 'user',
+      resourceId: user._id.toString(),
+      details: { before: { email: user.email }, after: { email: newEmail } },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      severity: 'medium'
+    });
+
+    res.json({
+      success: true,
+      message: 'Confirmation links have been sent to your current and new email addresses'
+    });
+  } catch (error) {
+    console.error('Email change request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start email change'
+    });
+  }
+});
+
+// Cancel a pending email change
+router.delete('/me/email-change', authenticate, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (!user.emailChange?.newEmail) {
+      return res.status(400).json({
+        success: false,
+        message: 'No email change is pending'
+      });
+    }
+
+    const pendingEmail = user.emailChange.newEmail;
+    user.emailChange = undefined;
+    await user.save();
+
+    // Log cancellation
+    await AuditLog.logEvent({
+      userId: user._id,
+      action: 'email_change_cancelled',
+      resourceType: 'user',
+      resourceId: user._id.toString(),
+      details: { pendingEmail },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      severity: 'low'
+    });
+
+    res.json({
+      success: true,
+      message: 'Email change cancelled'
+    });
+  } catch (error) {
+    console.error('Cancel email change error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel email change'
+    });
+  }
+});
+
+// Confirm one side of an email change from the link in the confirmation email
+router.get('/email-change/confirm/:token', async (req, res) => {
+  try {
+    const tokenHash = hashToken(req.params.token);
+
+    const user = await User.findOne({
+      $or: [
+        { 'emailChange.oldEmailToken': tokenHash },
+        { 'emailChange.newEmailToken': tokenHash }
+      ],
+      'emailChange.expiresAt': { $gt: new Date() }
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Confirmation link is invalid or has expired'
+      });
+    }
+
+    if (user.emailChange.oldEmailToken === tokenHash) {
+      user.emailChange.oldEmailConfirmedAt = user.emailChange.oldEmailConfirmedAt || new Date();
+    } else {
+      user.emailChange.newEmailConfirmedAt = user.emailChange.newEmailConfirmedAt || new Date();
+    }
+
+    if (!user.emailChange.oldEmailConfirmedAt || !user.emailChange.newEmailConfirmedAt) {
+      await user.save();
+
+      return res.json({
+        success: true,
+        message: 'Confirmation received. Please also confirm using the link sent to your other email address.',
+        data: { emailChanged: false }
+      });
+    }
+
+    // The address may have been taken while the change was pending
+    const existingUser = await User.findOne({ email: user.emailChange.newEmail });
+    if (existingUser) {
+      user.emailChange = undefined;
+      await user.save();
+
+      return res.status(400).json({
+        success: false,
+        message: 'This email is already in use'
+      });
+    }
+
+    const before = { email: user.email };
+    user.email = user.emailChange.newEmail;
+    user.isEmailVerified = true;
+    user.emailChange = undefined;
+    await user.save();
+
+    // Log email change
+    await AuditLog.logEvent({
+      userId: user._id,
+      action: 'email_changed',
+      resourceType: 'user',
+      resourceId: user._id.toString(),
+      details: { before, after: { email: user.email } },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      severity: 'high'
+    });
+
+    res.json({
+      success: true,
+      message: 'Email address changed successfully',
+      data: { emailChanged: true, email: user.email }
+    });
+  } catch (error) {
+    console.error('Confirm email change error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to confirm email change'
+    });
+  }
+});
+
+// Download a copy of the current user's personal data
+router.get('/me/export', authenticate, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    const [subscriptions, contentAccess, paymentSubmissions, auditLogs] = await Promise.all([
+      Subscription.find({ userId: user._id }).sort({ createdAt: -1 }).lean(),
+      ContentAccess.find({ userId: user._id }).sort({ createdAt: -1 }).lean(),
+      PaymentSubmission.find({ userId: user._id }).sort({ createdAt: -1 }),
+      AuditLog.find({ userId: user._id }).sort({ createdAt: -1 }).lean()
+    ]);
+
+    const archive = {
+      exportedAt: new Date().toISOString(),
+      profile: {
+        ...user.getPublicProfile(),
+        updatedAt: user.updatedAt
+      },
+      subscriptions,
+      contentAccess,
+      paymentSubmissions: paymentSubmissions.map(submission => submission.getPublicInfo()),
+      auditLogs
+    };
+
+    // Log data export
+    await AuditLog.logEvent({
+      userId: user._id,
+      action: 'data_exported',
+      resourceType: 'user',
+      resourceId: user._id.toString(),
+      details: {
+        subscriptions: subscriptions.length,
+        contentAccess: contentAccess.length,
+        paymentSubmissions: paymentSubmissions.length,
+        auditLogs: auditLogs.length
+      },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      severity: 'medium'
+    });
+
+    const filename = `rx-account-export-${user._id}-${archive.exportedAt.slice(0, 10)}.json`;
+    res.setHeader('Content-Type', 'application/json');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(JSON.stringify(archive, null, 2));
+  } catch (error) {
+    console.error('Export user data error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export account data'
+    });
+  }
+});
+
+// Request deletion of the current user's account after a cooling-off period
+router.post('/me/deletion', authenticate, validateAccountDeletion, async (req, res) => {
+  try {
+    const { password } = req.body;
+
+    const user = await User.findById(req.user._id);
+
+    if (user.deletionScheduledFor) {
+      return res.status(400).json({
+        success: false,
+        message: 'Account deletion has already been requested',
+        data: { deletionScheduledFor: user.deletionScheduledFor }
+      });
+    }
+
+    if (user.isLocked) {
+      return sendAccountLocked(res, user);
+    }
+
+    // Re-authenticate before scheduling anything irreversible
+    const isPasswordValid = await user.comparePassword(password);
+    if (!isPasswordValid) {
+      await AuditLog.logEvent({
+        userId: user._id,
+        action: 'account_deletion_failed',
+        resourceType: 'user',
+        details: { reason: 'invalid_password' },
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent'),
+        severity: 'medium',
+        status: 'failure'
+      });
+
+      if (user.isLocked) {
+        await handleAccountLocked(req, user);
+        return sendAccountLocked(res, user);
+      }
+
+      return res.status(401).json({
+        success: false,
+        message: 'Password is incorrect'
+      });
+    }
+
+    user.requestDeletion();
+    await user.save();
+
+    await sendTemplateEmail('account_deletion_scheduled', {
+      to: user.email,
+      userId: user._id,
+      data: { fullName: user.fullName, scheduledFor: user.deletionScheduledFor }
+    });
+
+    // Log deletion request
+    await AuditLog.logEvent({
+      userId: user._id,
+      action: 'account_deletion_requested',
+      resourceType: 'user',
+      resourceId: user._id.toString(),
+      details: { deletionScheduledFor: user.deletionScheduledFor },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      severity: 'high'
+    });
+
+    res.json({
+      success: true,
+      message: 'Account deletion scheduled. You can cancel it any time before the scheduled date.',
+      data: { deletionScheduledFor: user.deletionScheduledFor }
+    });
+  } catch (error) {
+    console.error('Account deletion request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to request account deletion'
+    });
+  }
+});
+
+// Cancel a pending account deletion
+router.delete('/me/deletion', authenticate, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (!user.deletionScheduledFor) {
+      return res.status(400).json({
+        success: false,
+        message: 'No account deletion is pending'
+      });
+    }
+
+    const deletionScheduledFor = user.deletionScheduledFor;
+    user.cancelDeletion();
+    await user.save();
+
+    // Log cancellation
+    await AuditLog.logEvent({
+      userId: user._id,
+      action: 'account_deletion_cancelled',
+      resourceType: 'user',
+      resourceId: user._id.toString(),
+      details: { deletionScheduledFor },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      severity: 'medium'
+    });
+
+    res.json({
+      success: true,
+      message: 'Account deletion cancelled'
+    });
+  } catch (error) {
+    console.error('Cancel account deletion error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel account deletion'
+    });
+  }
+});
+
 // Logout user
 router.post('/logout', authenticate, async (req, res) => {
   try {
+    // End this session only; tokens from before session tracking can only be
+    // killed by revoking everything
+    if (req.session) {
+      await req.session.revoke('logout');
+    } else {
+      await revokeUserTokens(req.user._id, 'logout');
+    }
+
     // Log logout event
     await AuditLog.logEvent({
       userId: req.user._id,
@@ -419,28 +2720,109 @@ router.post('/logout', authenticate, async (req, res) => {
   }
 });
 
-// Change password
-router.put('/change-password', authenticate, async (req, res) => {
+// List the current user's active sessions
+router.get('/sessions', authenticate, async (req, res) => {
   try {
-    const { currentPassword, newPassword } = req.body;
+    const sessions = await Session.findActiveForUser(req.user._id);
 
-    // Validate input
-    if (!currentPassword || !newPassword) {
-      return res.status(400).json({
-        success: false,
-        message: 'Current password and new password are required'
-      });
-    }
+    res.json({
+      success: true,
+      data: {
+        sessions: sessions.map(session => session.getPublicInfo(req.auth.sid))
+      }
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch sessions'
+    });
+  }
+});
 
-    if (newPassword.length < 6) {
-      return res.status(400).json({
+// Sign out everywhere except the current session
+router.delete('/sessions/others', authenticate, async (req, res) => {
+  try {
+    const revokedCount = req.session
+      ? await Session.revokeAllForUser(req.user._id, 'signed_out_elsewhere', req.session._id)
+      : 0;
+
+    // Log sign out of other sessions
+    await AuditLog.logEvent({
+      userId: req.user._id,
+      action: 'other_sessions_revoked',
+      resourceType: 'user',
+      resourceId: req.user._id.toString(),
+      details: { revokedCount, currentSessionId: req.auth.sid },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      severity: 'medium'
+    });
+
+    res.json({
+      success: true,
+      message: 'Signed out of all other sessions',
+      data: { revokedCount }
+    });
+  } catch (error) {
+    console.error('Revoke other sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to sign out other sessions'
+    });
+  }
+});
+
+// Sign out a single session
+router.delete('/sessions/:id', authenticate, async (req, res) => {
+  try {
+    const session = await Session.findOne({
+      _id: req.params.id,
+      userId: req.user._id,
+      revokedAt: null
+    });
+
+    if (!session) {
+      return res.status(404).json({
         success: false,
-        message: 'New password must be at least 6 characters long'
+        message: 'Session not found'
       });
     }
 
+    await session.revoke('revoked_by_user');
+
+    // Log session revocation
+    await AuditLog.logEvent({
+      userId: req.user._id,
+      action: 'session_revoked',
+      resourceType: 'user',
+      resourceId: req.user._id.toString(),
+      details: { sessionId: session._id, deviceLabel: session.deviceLabel },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      severity: 'low'
+    });
+
+    res.json({
+      success: true,
+      message: 'Session signed out successfully'
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to sign out session'
+    });
+  }
+});
+
+// Change password
+router.put('/change-password', authenticate, validatePasswordChange, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
     // Get user from database
-    const user = await User.findById(req.user._id);
+    const user = await User.findById(req.user._id).select('+passwordHistory');
     if (!user) {
       return res.status(404).json({
         success: false,
@@ -448,7 +2830,11 @@ router.put('/change-password', authenticate, async (req, res) => {
       });
     }
 
-    // Verify current password
+    if (user.isLocked) {
+      return sendAccountLocked(res, user);
+    }
+
+    // Verify current password (failures count toward the account lockout)
     const isCurrentPasswordValid = await user.comparePassword(currentPassword);
     if (!isCurrentPasswordValid) {
       // Log failed password change attempt
@@ -463,16 +2849,36 @@ router.put('/change-password', authenticate, async (req, res) => {
         status: 'failure'
       });
 
+      if (user.isLocked) {
+        await handleAccountLocked(req, user);
+        return sendAccountLocked(res, user);
+      }
+
       return res.status(401).json({
         success: false,
         message: 'Current password is incorrect'
       });
     }
 
+    const passwordErrors = await checkNewPassword(user, newPassword);
+    if (passwordErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: passwordErrors.join('. ')
+      });
+    }
+
     // Update password (will be hashed by pre-save middleware)
-    user.password = newPassword;
+    user.setPassword(newPassword);
     await user.save();
 
+    // Sign out every other session and issue fresh tokens for this one
+    const updatedUser = await revokeUserTokens(user._id, 'password_changed');
+    const { token, refreshToken } = await createUserSession(updatedUser, req, {
+      mfa: !!req.auth.mfa,
+      kind: req.session ? req.session.kind : 'user'
+    });
+
     // Log successful password change
     await AuditLog.logEvent({
       userId: user._id,
@@ -486,7 +2892,11 @@ router.put('/change-password', authenticate, async (req, res) => {
 
     res.json({
       success: true,
-      message: 'Password changed successfully'
+      message: 'Password changed successfully',
+      data: {
+        token,
+        refreshToken
+      }
     });
   } catch (error) {
     console.error('Change password error:', error);
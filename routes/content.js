@@ -21,6 +21,13 @@ router.get('/access/:contentType/:contentId',
         });
       }
 
+      if (req.user.needsEmailVerification()) {
+        return res.json({
+          success: true,
+          data: { hasAccess: false, reason: 'email_not_verified' }
+        });
+      }
+
       const hasAccess = await ContentAccess.checkAccess(
         req.user._id, 
         contentType, 
@@ -0,0 +1,47 @@
+import express from 'express';
+import path from 'path';
+import { getStorageDriver } from '../services/storage/index.js';
+
+const router = express.Router();
+
+// Serve a private file stored on local disk through a signed, expiring link
+// (other drivers hand out links to their own storage instead)
+router.get('/:token', async (req, res) => {
+  try {
+    const storage = getStorageDriver('local');
+    const key = storage.verifySignedToken(req.params.token);
+
+    if (!key) {
+      return res.status(403).json({
+        success: false,
+        message: 'File link is invalid or has expired'
+      });
+    }
+
+    let stream;
+    try {
+      stream = await storage.createReadStream(key);
+    } catch {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+
+    res.set('Cache-Control', 'private, no-store');
+    res.type(path.extname(key) || 'application/octet-stream');
+    stream.on('error', (error) => {
+      console.error('File stream error:', error);
+      res.destroy(error);
+    });
+    stream.pipe(res);
+  } catch (error) {
+    console.error('Serve file error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to serve file'
+    });
+  }
+});
+
+export default router;
@@ -2,6 +2,7 @@ import express from 'express';
 import Subscription from '../models/Subscription.js';
 import User from '../models/User.js';
 import AuditLog from '../models/AuditLog.js';
+import { getPlan } from '../config/plans.js';
 import { authenticate, authenticateAdmin, requirePermission } from '../middleware/auth.js';
 import { validateSubscriptionCreate, validatePagination } from '../middleware/validation.js';
 
@@ -44,15 +45,8 @@ router.post('/', authenticate, validateSubscriptionCreate, async (req, res) => {
       });
     }
 
-    // Calculate subscription details based on plan
-    const planDetails = {
-      premium_monthly: { amount: 999, interval: 'month', tier: 'premium' },
-      premium_yearly: { amount: 9999, interval: 'year', tier: 'premium' },
-      enterprise_monthly: { amount: 2999, interval: 'month', tier: 'enterprise' },
-      enterprise_yearly: { amount: 29999, interval: 'year', tier: 'enterprise' }
-    };
-
-    const plan = planDetails[planId];
+    // Look up plan details
+    const plan = getPlan(planId);
     if (!plan) {
       return res.status(400).json({
         success: false,
@@ -62,13 +56,7 @@ router.post('/', authenticate, validateSubscriptionCreate, async (req, res) => {
 
     // Calculate period dates
     const currentPeriodStart = new Date();
-    const currentPeriodEnd = new Date();
-    
-    if (plan.interval === 'month') {
-      currentPeriodEnd.setMonth(currentPeriodEnd.getMonth() + 1);
-    } else {
-      currentPeriodEnd.setFullYear(currentPeriodEnd.getFullYear() + 1);
-    }
+    const currentPeriodEnd = Subscription.calculatePeriodEnd(currentPeriodStart, plan.interval);
 
     // Create subscription
     const subscription = new Subscription({
@@ -78,6 +66,7 @@ router.post('/', authenticate, validateSubscriptionCreate, async (req, res) => {
       currentPeriodStart,
       currentPeriodEnd,
       amount: plan.amount,
+      currency: plan.currency,
       interval: plan.interval,
       metadata: {
         paymentMethodId,
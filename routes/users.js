@@ -3,7 +3,9 @@ import User from '../models/User.js';
 import Subscription from '../models/Subscription.js';
 import ContentAccess from '../models/ContentAccess.js';
 import AuditLog from '../models/AuditLog.js';
-import { authenticateAdmin, requirePermission } from '../middleware/auth.js';
+import Session from '../models/Session.js';
+import PaymentSubmission from '../models/PaymentSubmission.js';
+import { authenticateAdmin, requirePermission, revokeUserTokens } from '../middleware/auth.js';
 import { validatePagination, validateDateRange } from '../middleware/validation.js';
 
 const router = express.Router();
@@ -207,9 +209,14 @@ router.delete('/:id',
         });
       }
 
+      // Kill any tokens still in circulation
+      await revokeUserTokens(user._id, 'user_deleted');
+
       // Delete related data
       await Subscription.deleteMany({ userId: user._id });
       await ContentAccess.deleteMany({ userId: user._id });
+      await PaymentSubmission.removeImagesForUser(user._id);
+      await PaymentSubmission.deleteMany({ userId: user._id });
       
       // Delete user
       await User.findByIdAndDelete(req.params.id);
@@ -243,6 +250,136 @@ router.delete('/:id',
   }
 );
 
+// Get a user's active sessions (admin only)
+router.get('/:id/sessions', 
+  authenticateAdmin, 
+  requirePermission('user_management'),
+  async (req, res) => {
+    try {
+      const user = await User.findById(req.params.id);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      const sessions = await Session.findActiveForUser(user._id);
+
+      res.json({
+        success: true,
+        data: {
+          sessions: sessions.map(session => session.getPublicInfo())
+        }
+      });
+    } catch (error) {
+      console.error('Get user sessions error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch user sessions'
+      });
+    }
+  }
+);
+
+// Sign a user out of every session (admin only)
+router.delete('/:id/sessions', 
+  authenticateAdmin, 
+  requirePermission('user_management'),
+  async (req, res) => {
+    try {
+      const user = await User.findById(req.params.id);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      const revokedCount = await Session.revokeAllForUser(user._id, 'revoked_by_admin');
+
+      // Log admin action
+      await AuditLog.logEvent({
+        userId: req.user._id,
+        action: 'user_sessions_revoked',
+        resourceType: 'user',
+        resourceId: user._id.toString(),
+        details: { 
+          targetUserEmail: user.email,
+          revokedCount,
+          revokedBy: req.user.email
+        },
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent'),
+        severity: 'medium'
+      });
+
+      res.json({
+        success: true,
+        message: 'User signed out of all sessions',
+        data: { revokedCount }
+      });
+    } catch (error) {
+      console.error('Revoke user sessions error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to revoke user sessions'
+      });
+    }
+  }
+);
+
+// Sign a user out of one session (admin only)
+router.delete('/:id/sessions/:sessionId', 
+  authenticateAdmin, 
+  requirePermission('user_management'),
+  async (req, res) => {
+    try {
+      const session = await Session.findOne({
+        _id: req.params.sessionId,
+        userId: req.params.id,
+        revokedAt: null
+      });
+
+      if (!session) {
+        return res.status(404).json({
+          success: false,
+          message: 'Session not found'
+        });
+      }
+
+      await session.revoke('revoked_by_admin');
+
+      // Log admin action
+      await AuditLog.logEvent({
+        userId: req.user._id,
+        action: 'user_session_revoked',
+        resourceType: 'user',
+        resourceId: req.params.id,
+        details: { 
+          sessionId: session._id,
+          deviceLabel: session.deviceLabel,
+          revokedBy: req.user.email
+        },
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent'),
+        severity: 'medium'
+      });
+
+      res.json({
+        success: true,
+        message: 'Session signed out successfully'
+      });
+    } catch (error) {
+      console.error('Revoke user session error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to revoke session'
+      });
+    }
+  }
+);
+
 // Get user statistics (admin only)
 router.get('/stats/overview', 
   authenticateAdmin, 
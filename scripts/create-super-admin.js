@@ -0,0 +1,116 @@
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import AdminUser from '../models/AdminUser.js';
+import AuditLog from '../models/AuditLog.js';
+import { checkPasswordStrength } from '../utils/passwordPolicy.js';
+import dotenv from 'dotenv';
+
+// Load environment variables
+dotenv.config();
+
+/**
+ * Bootstrap script to create the first super admin account.
+ * Refuses to run once any super admin exists - further admins are managed
+ * from the admin panel.
+ *
+ * Usage:
+ *   npm run create-admin -- --email admin@example.com --password 'S3cure!pass' --name "RX Admin"
+ *
+ * BOOTSTRAP_ADMIN_EMAIL, BOOTSTRAP_ADMIN_PASSWORD and BOOTSTRAP_ADMIN_NAME can be used instead of flags.
+ */
+
+// Read "--flag value" or "--flag=value" from the command line
+function getArg(name) {
+  const args = process.argv.slice(2);
+  const prefix = `--${name}=`;
+  const inline = args.find(arg => arg.startsWith(prefix));
+  if (inline) return inline.slice(prefix.length);
+
+  const index = args.indexOf(`--${name}`);
+  return index !== -1 ? args[index + 1] : undefined;
+}
+
+async function createSuperAdmin() {
+  const email = (getArg('email') || process.env.BOOTSTRAP_ADMIN_EMAIL || '').trim().toLowerCase();
+  const password = getArg('password') || process.env.BOOTSTRAP_ADMIN_PASSWORD;
+  const fullName = getArg('name') || process.env.BOOTSTRAP_ADMIN_NAME || 'RX Admin';
+
+  if (!email || !password) {
+    console.error('❌ Email and password are required');
+    console.error('Usage: npm run create-admin -- --email <email> --password <password> [--name <full name>]');
+    process.exit(1);
+  }
+
+  const passwordErrors = checkPasswordStrength(password);
+  if (passwordErrors.length > 0) {
+    passwordErrors.forEach(message => console.error(`❌ ${message}`));
+    process.exit(1);
+  }
+
+  let exitCode = 0;
+
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI, {
+      dbName: process.env.DB_NAME || 'rx_magazine'
+    });
+    console.log('✅ Connected to MongoDB');
+
+    // Only ever bootstrap once
+    const existingSuperAdmin = await AdminUser.findOne({ role: 'super_admin' });
+    if (existingSuperAdmin) {
+      console.error('❌ A super admin already exists. Manage admins from the admin panel instead.');
+      exitCode = 1;
+      return;
+    }
+
+    const existingUser = await User.findOne({ email });
+    if (existingUser) {
+      console.error(`❌ A user with email ${email} already exists. Use a different email address.`);
+      exitCode = 1;
+      return;
+    }
+
+    // Password is hashed by the User pre-save middleware
+    const user = new User({
+      email,
+      password,
+      fullName,
+      subscriptionTier: 'enterprise',
+      subscriptionStatus: 'active',
+      isEmailVerified: true,
+      registrationStatus: 'approved',
+      paymentStatus: 'verified'
+    });
+    await user.save();
+
+    const adminUser = new AdminUser({
+      userId: user._id,
+      role: 'super_admin'
+    });
+    await adminUser.save();
+
+    await AuditLog.logEvent({
+      userId: user._id,
+      action: 'super_admin_bootstrapped',
+      resourceType: 'admin',
+      resourceId: adminUser._id.toString(),
+      details: { email, method: 'bootstrap_script' },
+      severity: 'critical'
+    });
+
+    console.log(`🎉 Super admin created: ${email}`);
+    console.log('🔐 Log in through /api/auth/admin/login and enable two-factor authentication.');
+  } catch (error) {
+    console.error('❌ Error creating super admin:', error);
+    exitCode = 1;
+  } finally {
+    // Close the database connection
+    await mongoose.connection.close();
+    console.log('🔒 Database connection closed');
+    process.exit(exitCode);
+  }
+}
+
+// Run the bootstrap
+createSuperAdmin();
@@ -0,0 +1,85 @@
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import PaymentSubmission from '../models/PaymentSubmission.js';
+import dotenv from 'dotenv';
+
+// Load environment variables
+dotenv.config();
+
+/**
+ * Migration script to create PaymentSubmission records for payment proofs
+ * that were stored only on the User document (paymentProofUrl and the older
+ * paymentProofHistory array). Users who already have submissions are skipped,
+ * so the script is safe to run more than once.
+ * Run with --dry-run to preview the changes.
+ */
+
+// Map the user's payment status onto a submission review status
+const REVIEW_STATUS = {
+  pending: 'pending',
+  verified: 'approved',
+  rejected: 'rejected'
+};
+
+async function migratePaymentSubmissions() {
+  const dryRun = process.argv.includes('--dry-run');
+
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    // Read raw documents so fields no longer in the schema are still visible
+    const users = await User.collection.find({ paymentProofUrl: { $exists: true, $ne: null } }).toArray();
+    console.log(`Found ${users.length} users with a payment proof`);
+
+    let created = 0;
+    let skipped = 0;
+
+    for (const user of users) {
+      if (await PaymentSubmission.exists({ userId: user._id })) {
+        skipped += 1;
+        continue;
+      }
+
+      // Earlier proofs were replaced before review finished, or were rejected
+      const history = (user.paymentProofHistory || []).slice().reverse();
+      const submissions = history.map(entry => ({
+        userId: user._id,
+        imageUrl: entry.url,
+        status: entry.paymentStatus === 'rejected' ? 'rejected' : 'superseded',
+        reviewNotes: entry.adminNotes,
+        createdAt: entry.submittedAt,
+        updatedAt: entry.replacedAt || entry.submittedAt
+      }));
+
+      submissions.push({
+        userId: user._id,
+        imageUrl: user.paymentProofUrl,
+        status: REVIEW_STATUS[user.paymentStatus] || 'pending',
+        reviewedAt: user.paymentStatus === 'verified' ? user.paymentVerificationDate : undefined,
+        reviewNotes: user.adminNotes,
+        createdAt: user.paymentProofSubmittedAt || user.createdAt,
+        updatedAt: user.paymentVerificationDate || user.paymentProofSubmittedAt || user.createdAt
+      });
+
+      console.log(`${user.email}: ${submissions.length} submission(s)`);
+
+      if (!dryRun) {
+        await PaymentSubmission.insertMany(submissions, { timestamps: false });
+        await User.collection.updateOne({ _id: user._id }, { $unset: { paymentProofHistory: 1 } });
+      }
+      created += submissions.length;
+    }
+
+    console.log(`\n✅ ${dryRun ? 'Would create' : 'Created'} ${created} payment submissions (${skipped} users already migrated)`);
+  } catch (error) {
+    console.error('❌ Error migrating payment submissions:', error);
+  } finally {
+    // Close the database connection
+    await mongoose.connection.close();
+    console.log('Database connection closed');
+  }
+}
+
+migratePaymentSubmissions();
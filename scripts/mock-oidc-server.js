@@ -0,0 +1,169 @@
+import http from 'http';
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+
+/**
+ * Minimal OpenID Connect provider for local development and testing.
+ * Every authorization request is approved immediately for a single test
+ * identity, so the full login flow can run without a real provider.
+ *
+ * Usage:
+ *   npm run mock-oidc
+ *
+ * Then configure the API with:
+ *   OIDC_PROVIDERS=mock
+ *   OIDC_MOCK_ISSUER=http://localhost:9400
+ *   OIDC_MOCK_CLIENT_ID=rx-local
+ *   OIDC_MOCK_CLIENT_SECRET=rx-local-secret
+ *
+ * The signed-in identity comes from MOCK_OIDC_EMAIL, MOCK_OIDC_NAME and
+ * MOCK_OIDC_EMAIL_VERIFIED. The email can also be chosen per login with
+ * /api/auth/oidc/mock/start?login_hint=someone@example.com
+ */
+
+const port = parseInt(process.env.MOCK_OIDC_PORT) || 9400;
+const issuer = process.env.MOCK_OIDC_ISSUER || `http://localhost:${port}`;
+const clientSecret = process.env.MOCK_OIDC_CLIENT_SECRET;
+
+const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const kid = crypto.randomUUID();
+const jwk = { ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' };
+
+// Authorization codes waiting to be exchanged
+const codes = new Map();
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+};
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  let data = '';
+  req.on('data', chunk => { data += chunk; });
+  req.on('end', () => resolve(new URLSearchParams(data)));
+  req.on('error', reject);
+});
+
+const buildIdentity = (loginHint) => {
+  const email = (loginHint || process.env.MOCK_OIDC_EMAIL || 'reader@example.com').toLowerCase();
+  return {
+    sub: crypto.createHash('sha256').update(email).digest('hex').slice(0, 24),
+    email,
+    email_verified: process.env.MOCK_OIDC_EMAIL_VERIFIED !== 'false',
+    name: process.env.MOCK_OIDC_NAME || 'Mock Reader'
+  };
+};
+
+const handleAuthorize = (url, res) => {
+  const params = url.searchParams;
+  const redirectUri = params.get('redirect_uri');
+
+  if (params.get('response_type') !== 'code' || !redirectUri || !params.get('client_id')) {
+    return sendJson(res, 400, { error: 'invalid_request' });
+  }
+
+  const code = crypto.randomBytes(16).toString('hex');
+  codes.set(code, {
+    clientId: params.get('client_id'),
+    redirectUri,
+    nonce: params.get('nonce'),
+    codeChallenge: params.get('code_challenge'),
+    identity: buildIdentity(params.get('login_hint')),
+    expiresAt: Date.now() + 60 * 1000
+  });
+
+  const redirect = new URL(redirectUri);
+  redirect.searchParams.set('code', code);
+  if (params.get('state')) redirect.searchParams.set('state', params.get('state'));
+
+  res.writeHead(302, { Location: redirect.toString() });
+  res.end();
+};
+
+const handleToken = async (req, res) => {
+  const params = await readBody(req);
+
+  // Accept client_secret_basic or client_secret_post
+  let clientId = params.get('client_id');
+  let secret = params.get('client_secret');
+  const authorization = req.headers.authorization || '';
+  if (authorization.startsWith('Basic ')) {
+    const [id, value] = Buffer.from(authorization.slice(6), 'base64').toString().split(':');
+    clientId = decodeURIComponent(id);
+    secret = decodeURIComponent(value || '');
+  }
+
+  const entry = codes.get(params.get('code'));
+  codes.delete(params.get('code'));
+
+  if (!entry || entry.expiresAt < Date.now() || params.get('grant_type') !== 'authorization_code') {
+    return sendJson(res, 400, { error: 'invalid_grant' });
+  }
+  if (entry.clientId !== clientId || (clientSecret && secret !== clientSecret)) {
+    return sendJson(res, 401, { error: 'invalid_client' });
+  }
+  if (entry.redirectUri !== params.get('redirect_uri')) {
+    return sendJson(res, 400, { error: 'invalid_grant', error_description: 'redirect_uri mismatch' });
+  }
+  if (entry.codeChallenge) {
+    const challenge = crypto.createHash('sha256').update(params.get('code_verifier') || '').digest('base64url');
+    if (challenge !== entry.codeChallenge) {
+      return sendJson(res, 400, { error: 'invalid_grant', error_description: 'PKCE verification failed' });
+    }
+  }
+
+  const idToken = jwt.sign(
+    { ...entry.identity, nonce: entry.nonce },
+    privateKey,
+    { algorithm: 'RS256', keyid: kid, issuer, audience: entry.clientId, expiresIn: '5m' }
+  );
+
+  sendJson(res, 200, {
+    access_token: crypto.randomBytes(16).toString('hex'),
+    token_type: 'Bearer',
+    expires_in: 300,
+    id_token: idToken
+  });
+};
+
+const server = http.createServer(async (req, res) => {
+  try {
+    const url = new URL(req.url, issuer);
+
+    if (req.method === 'GET' && url.pathname === '/.well-known/openid-configuration') {
+      return sendJson(res, 200, {
+        issuer,
+        authorization_endpoint: `${issuer}/authorize`,
+        token_endpoint: `${issuer}/token`,
+        jwks_uri: `${issuer}/jwks`,
+        response_types_supported: ['code'],
+        subject_types_supported: ['public'],
+        id_token_signing_alg_values_supported: ['RS256'],
+        token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post'],
+        code_challenge_methods_supported: ['S256']
+      });
+    }
+    if (req.method === 'GET' && url.pathname === '/jwks') {
+      return sendJson(res, 200, { keys: [jwk] });
+    }
+    if (req.method === 'GET' && url.pathname === '/authorize') {
+      return handleAuthorize(url, res);
+    }
+    if (req.method === 'POST' && url.pathname === '/token') {
+      return await handleToken(req, res);
+    }
+
+    sendJson(res, 404, { error: 'not_found' });
+  } catch (error) {
+    console.error('Mock OIDC error:', error);
+    sendJson(res, 500, { error: 'server_error' });
+  }
+});
+
+server.listen(port, () => {
+  console.log(`🔑 Mock OIDC provider running at ${issuer}`);
+});
+
+// Allow tests to stop the server cleanly
+process.on('SIGTERM', () => server.close(() => process.exit(0)));
+process.on('SIGINT', () => server.close(() => process.exit(0)));
@@ -0,0 +1,62 @@
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import { normalizePhoneNumber } from '../utils/phone.js';
+import dotenv from 'dotenv';
+
+// Load environment variables
+dotenv.config();
+
+/**
+ * Migration script to convert stored mobile numbers to E.164 format.
+ * Numbers that can't be normalized are listed and left untouched so support
+ * can follow up; set PHONE_DEFAULT_COUNTRY_CODE to convert local numbers.
+ * Run with --dry-run to preview the changes.
+ */
+
+async function normalizeMobileNumbers() {
+  const dryRun = process.argv.includes('--dry-run');
+
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    const users = await User.find({ mobileNumber: { $exists: true, $ne: null } })
+      .select('email mobileNumber');
+
+    let updated = 0;
+    const invalid = [];
+
+    for (const user of users) {
+      const normalized = normalizePhoneNumber(user.mobileNumber);
+
+      if (!normalized) {
+        invalid.push(user);
+        continue;
+      }
+
+      if (normalized !== user.mobileNumber) {
+        console.log(`${user.email}: ${user.mobileNumber} -> ${normalized}`);
+        if (!dryRun) {
+          await User.updateOne({ _id: user._id }, { $set: { mobileNumber: normalized } });
+        }
+        updated += 1;
+      }
+    }
+
+    console.log(`\n✅ ${dryRun ? 'Would update' : 'Updated'} ${updated} of ${users.length} mobile numbers`);
+
+    if (invalid.length > 0) {
+      console.log(`\n⚠️  ${invalid.length} numbers could not be normalized:`);
+      invalid.forEach((user) => console.log(`   ${user.email}: ${user.mobileNumber}`));
+    }
+  } catch (error) {
+    console.error('❌ Error normalizing mobile numbers:', error);
+  } finally {
+    // Close the database connection
+    await mongoose.connection.close();
+    console.log('Database connection closed');
+  }
+}
+
+normalizeMobileNumbers();
@@ -0,0 +1,85 @@
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import PaymentSubmission from '../models/PaymentSubmission.js';
+import { saveFile } from '../services/storage/index.js';
+import dotenv from 'dotenv';
+
+// Load environment variables
+dotenv.config();
+
+/**
+ * Migration script to move payment proofs uploaded before proofs were stored
+ * privately. Each image is downloaded from its public URL, saved as a private
+ * file with the configured storage driver and the public URL is dropped from
+ * the submission and user records. Already migrated submissions are skipped,
+ * so the script is safe to run more than once.
+ * The original public files are not deleted; remove them from the old storage
+ * once the migration has been checked.
+ * Run with --dry-run to preview the changes.
+ */
+
+async function privatizePaymentProofs() {
+  const dryRun = process.argv.includes('--dry-run');
+
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    const submissions = await PaymentSubmission.find({
+      imageUrl: { $exists: true, $ne: null },
+      imageKey: { $exists: false }
+    });
+    console.log(`Found ${submissions.length} payment proofs with a public URL`);
+
+    let migrated = 0;
+    let failed = 0;
+
+    for (const submission of submissions) {
+      if (dryRun) {
+        console.log(`${submission._id}: ${submission.imageUrl}`);
+        migrated += 1;
+        continue;
+      }
+
+      try {
+        const response = await fetch(submission.imageUrl);
+        if (!response.ok) {
+          throw new Error(`download failed with status ${response.status}`);
+        }
+
+        const stored = await saveFile({
+          buffer: Buffer.from(await response.arrayBuffer()),
+          mimeType: (response.headers.get('content-type') || '').split(';')[0],
+          folder: 'payment-proofs',
+          visibility: 'private'
+        });
+
+        submission.imageKey = stored.key;
+        submission.storageDriver = stored.driver;
+        submission.imageUrl = undefined;
+        await submission.save();
+        migrated += 1;
+      } catch (error) {
+        console.error(`❌ ${submission._id}: ${error.message}`);
+        failed += 1;
+      }
+    }
+
+    const users = await User.countDocuments({ paymentProofUrl: { $exists: true } });
+    if (!dryRun) {
+      await User.updateMany({ paymentProofUrl: { $exists: true } }, { $unset: { paymentProofUrl: 1 } });
+    }
+
+    console.log(`\n✅ ${dryRun ? 'Would move' : 'Moved'} ${migrated} payment proofs to private storage (${failed} failed)`);
+    console.log(`${dryRun ? 'Would clear' : 'Cleared'} the public proof URL on ${users} users`);
+  } catch (error) {
+    console.error('❌ Error privatizing payment proofs:', error);
+  } finally {
+    // Close the database connection
+    await mongoose.connection.close();
+    console.log('Database connection closed');
+  }
+}
+
+privatizePaymentProofs();
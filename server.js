@@ -6,6 +6,9 @@ import morgan from 'morgan';
 import rateLimit from 'express-rate-limit';
 import dotenv from 'dotenv';
 import connectDB from './config/database.js';
+import storageConfig from './config/storage.js';
+import emailConfig from './config/email.js';
+import { getSmsProviderName } from './services/sms/index.js';
 
 // Import routes
 import authRoutes from './routes/auth.js';
@@ -13,10 +16,23 @@ import userRoutes from './routes/users.js';
 import subscriptionRoutes from './routes/subscriptions.js';
 import contentRoutes from './routes/content.js';
 import adminRoutes from './routes/admin.js';
+import fileRoutes from './routes/files.js';
+
+// Import background jobs
+import { startAccountDeletionJob } from './jobs/accountDeletion.js';
+import { startEmailOutboxJob } from './jobs/emailOutbox.js';
+import { startSubscriptionExpiryJob } from './jobs/subscriptionExpiry.js';
 
 // Load environment variables
 dotenv.config();
 
+// Uploaded payment proofs must survive redeploys, so refuse to start without
+// a storage driver rather than writing them to a disk that may be wiped
+if (!storageConfig.driver) {
+  console.error('No storage driver configured: set STORAGE_DRIVER (s3, cloudinary, or local with a persistent disk)');
+  process.exit(1);
+}
+
 const app = express();
 const PORT = process.env.PORT || 5000;
 
@@ -134,12 +150,19 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Uploaded files, when they are stored on this server's disk
+if (storageConfig.driver === 'local') {
+  const uploadsPath = new URL(storageConfig.local.publicBaseUrl, 'http://localhost').pathname;
+  app.use(uploadsPath, express.static(storageConfig.local.directory));
+}
+
 // API routes
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/subscriptions', subscriptionRoutes);
 app.use('/api/content', contentRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/files', fileRoutes);
 
 // Serve static files in production
 if (process.env.NODE_ENV === 'production') {
@@ -219,6 +242,18 @@ app.listen(PORT, () => {
   console.log(`🚀 RX Magazine API server running on port ${PORT}`);
   console.log(`📱 Environment: ${process.env.NODE_ENV || 'development'}`);
   console.log(`🔗 Health check: http://localhost:${PORT}/health`);
+
+  if (!emailConfig.transport) {
+    console.error('⚠️  No email transport configured (set EMAIL_HOST or EMAIL_TRANSPORT): emails will stay queued in the outbox and nothing will be delivered');
+  }
+
+  if (!getSmsProviderName()) {
+    console.error('⚠️  No SMS provider configured (set SMS_PROVIDER): mobile verification codes cannot be sent');
+  }
+
+  startAccountDeletionJob();
+  startEmailOutboxJob();
+  startSubscriptionExpiryJob();
   
   if (process.env.NODE_ENV === 'development') {
     console.log(`🌐 CORS enabled for:`);
@@ -0,0 +1,10 @@
+// Development email driver: logs the recipient, template and subject of each
+// message instead of sending it. Content is never logged, since it may carry
+// reset links or login codes; use the file driver to read messages locally.
+export const createConsoleTransport = () => ({
+  name: 'console',
+  async send({ to, subject, template }) {
+    console.log(`📧 Email to ${to} [${template}]: ${subject}`);
+    return { id: `console-${Date.now()}` };
+  }
+});
@@ -0,0 +1,16 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// Development email driver: appends each message as a JSON line to a file so
+// developers and scripts can read back what was "sent"
+export const createFileTransport = ({ filePath }) => ({
+  name: 'file',
+  async send({ from, to, subject, text, html }) {
+    const message = { id: `file-${Date.now()}`, from, to, subject, text, html, sentAt: new Date().toISOString() };
+
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.appendFile(filePath, `${JSON.stringify(message)}\n`);
+
+    return { id: message.id };
+  }
+});
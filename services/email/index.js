@@ -0,0 +1,115 @@
+import emailConfig from '../../config/email.js';
+import EmailMessage from '../../models/EmailMessage.js';
+import { renderTemplate } from './templates.js';
+import { createSmtpTransport } from './smtpTransport.js';
+import { createConsoleTransport } from './consoleTransport.js';
+import { createFileTransport } from './fileTransport.js';
+import { createMemoryTransport } from './memoryTransport.js';
+
+export { renderTemplate, listTemplates, getTemplateNames } from './templates.js';
+export { getCapturedEmails, clearCapturedEmails } from './memoryTransport.js';
+
+// Email drivers by name. A driver is a factory returning
+// { name, send({ from, to, subject, text, html, template, sensitive }) -> { id } };
+// other providers can be registered at startup.
+const transports = {
+  smtp: () => createSmtpTransport(emailConfig.smtp),
+  console: () => createConsoleTransport(),
+  file: () => createFileTransport({ filePath: emailConfig.filePath }),
+  memory: () => createMemoryTransport()
+};
+
+let transport;
+
+// Register an additional email driver (takes effect if EMAIL_TRANSPORT selects it)
+export const registerEmailTransport = (name, factory) => {
+  transports[name] = factory;
+  transport = undefined;
+};
+
+const getTransport = () => {
+  if (!transport) {
+    if (!emailConfig.transport) {
+      throw new Error('No email transport configured (set EMAIL_HOST or EMAIL_TRANSPORT)');
+    }
+    const factory = transports[emailConfig.transport];
+    if (!factory) {
+      throw new Error(`Unknown email transport: ${emailConfig.transport}`);
+    }
+    transport = factory();
+  }
+  return transport;
+};
+
+// Build an absolute link into the frontend app
+export const getFrontendUrl = (path) => {
+  const baseUrl = (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/$/, '');
+  return `${baseUrl}${path}`;
+};
+
+// Try to deliver a claimed outbox message, recording the outcome on it.
+// Failures are kept in the outbox for the retry job rather than thrown.
+export const deliverEmailMessage = async (message) => {
+  try {
+    const sender = getTransport();
+    const info = await sender.send({
+      from: emailConfig.from,
+      to: message.to,
+      subject: message.subject,
+      text: message.text,
+      html: message.html,
+      template: message.template,
+      sensitive: message.sensitive
+    });
+    message.markSent(sender.name, info.id);
+  } catch (error) {
+    console.error(`Email delivery failed for message ${message._id}:`, error.message);
+    message.markFailed(error);
+  }
+
+  await message.save();
+  return message;
+};
+
+// Render a named template, add it to the outbox and try to send it right away.
+// Returns the outbox message; check its status to see whether it went out.
+export const sendTemplateEmail = async (template, { to, userId, data }) => {
+  const rendered = renderTemplate(template, data);
+
+  const message = await EmailMessage.create({
+    userId,
+    to,
+    template,
+    subject: rendered.subject,
+    text: rendered.text,
+    html: rendered.html,
+    sensitive: rendered.sensitive,
+    status: 'sending',
+    lockedAt: new Date()
+  });
+
+  return deliverEmailMessage(message);
+};
+
+// Queue a fresh copy of an earlier (non-sensitive) message and try to send it right away
+export const resendEmailMessage = async (original, resentBy) => {
+  if (original.sensitive || original.redactedAt) {
+    throw new Error('Messages carrying one-time links or codes cannot be resent');
+  }
+
+  const message = await EmailMessage.create({
+    userId: original.userId,
+    to: original.to,
+    template: original.template,
+    subject: original.subject,
+    text: original.text,
+    html: original.html,
+    sensitive: original.sensitive,
+    resentFrom: original._id,
+    resentBy,
+    status: 'sending',
+    lockedAt: new Date()
+  });
+
+  return deliverEmailMessage(message);
+};
@@ -0,0 +1,19 @@
+// Test email driver: keeps every message in memory so tests can inspect what
+// would have been sent
+const captured = [];
+
+export const createMemoryTransport = () => ({
+  name: 'memory',
+  async send({ from, to, subject, text, html }) {
+    const message = { id: `memory-${captured.length + 1}`, from, to, subject, text, html, sentAt: new Date() };
+    captured.push(message);
+    return { id: message.id };
+  }
+});
+
+// Messages captured so far, oldest first
+export const getCapturedEmails = () => [...captured];
+
+export const clearCapturedEmails = () => {
+  captured.length = 0;
+};
@@ -0,0 +1,23 @@
+import nodemailer from 'nodemailer';
+
+// Sends mail through an SMTP server
+export const createSmtpTransport = ({ host, port, user, pass }) => {
+  if (!host) {
+    throw new Error('SMTP email transport requires EMAIL_HOST');
+  }
+
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure: port === 465,
+    auth: user ? { user, pass } : undefined
+  });
+
+  return {
+    name: 'smtp',
+    async send({ from, to, subject, text, html }) {
+      const info = await transporter.sendMail({ from, to, subject, text, html });
+      return { id: info.messageId };
+    }
+  };
+};
@@ -0,0 +1,208 @@
+// Named transactional email templates. Each template renders its data to
+// { subject, text, html }; the HTML body is wrapped in a shared layout.
+// Templates marked sensitive carry one-time links or codes, so their content
+// is removed from the outbox once delivered.
+
+const APP_NAME = 'RX Lifestyle';
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Marks a string as already-safe HTML for the html tag below
+const raw = (value) => ({ __html: value });
+
+// Tagged template that escapes every interpolated value unless wrapped in raw()
+const html = (strings, ...values) => raw(strings.reduce((result, string, index) => {
+  if (index === 0) return string;
+  const value = values[index - 1];
+  return result + (value && value.__html !== undefined ? value.__html : escapeHtml(value)) + string;
+}, ''));
+
+const formatDate = (date) => new Date(date).toUTCString();
+
+const layout = (subject, body) => html`<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><title>${subject}</title></head>
+<body style="margin:0;padding:24px;background:#f5f5f5;font-family:Arial,Helvetica,sans-serif;color:#222;">
+<div style="max-width:560px;margin:0 auto;background:#fff;border-radius:6px;padding:24px;">
+${body}
+</div>
+<p style="max-width:560px;margin:16px auto 0;font-size:12px;color:#888;text-align:center;">${APP_NAME}</p>
+</body>
+</html>`.__html;
+
+const button = (url, label) => html`<p><a href="${url}" style="display:inline-block;padding:10px 18px;background:#222;color:#fff;text-decoration:none;border-radius:4px;">${label}</a></p>`;
+
+const templates = {
+  registration_received: {
+    description: 'Sent when a registration or a new payment proof is submitted for review',
+    sample: { fullName: 'Juan dela Cruz' },
+    render: ({ fullName }) => ({
+      subject: `We received your ${APP_NAME} registration`,
+      text: `Hi ${fullName},\n\nThanks for registering. We received your payment proof and our team will review it shortly. We'll email you as soon as your account is approved.`,
+      html: html`<p>Hi ${fullName},</p><p>Thanks for registering. We received your payment proof and our team will review it shortly.</p><p>We'll email you as soon as your account is approved.</p>`
+    })
+  },
+
+  registration_approved: {
+    description: 'Sent when an admin approves a registration',
+    sample: { fullName: 'Juan dela Cruz', loginUrl: 'https://example.com/login' },
+    render: ({ fullName, loginUrl }) => ({
+      subject: `Your ${APP_NAME} account is approved`,
+      text: `Hi ${fullName},\n\nGood news - your payment has been verified and your account is now active. Sign in here:\n\n${loginUrl}`,
+      html: html`<p>Hi ${fullName},</p><p>Good news - your payment has been verified and your account is now active.</p>${button(loginUrl, 'Sign in')}`
+    })
+  },
+
+  registration_rejected: {
+    description: 'Sent when an admin rejects a registration, with a link to upload a new payment proof',
+    sensitive: true,
+    sample: {
+      fullName: 'Juan dela Cruz',
+      reason: 'The payment proof is unreadable.',
+      resubmitUrl: 'https://example.com/resubmit-payment'
+    },
+    render: ({ fullName, reason, resubmitUrl }) => ({
+      subject: `Your ${APP_NAME} registration needs attention`,
+      text: `Hi ${fullName},\n\nWe could not approve your registration.${reason ? `\n\nReason: ${reason}` : ''}${resubmitUrl ? `\n\nYou can upload a new payment proof here:\n\n${resubmitUrl}` : ''}`,
+      html: html`<p>Hi ${fullName},</p><p>We could not approve your registration.</p>${reason ? html`<p><strong>Reason:</strong> ${reason}</p>` : ''}${resubmitUrl ? html`<p>You can upload a new payment proof using the button below.</p>${button(resubmitUrl, 'Upload payment proof')}` : ''}`
+    })
+  },
+
+  registration_status_link: {
+    description: 'Link for checking on a registration without signing in',
+    sensitive: true,
+    sample: { fullName: 'Juan dela Cruz', statusUrl: 'https://example.com/registration-status?token=sample', expiresInDays: 30 },
+    render: ({ fullName, statusUrl, expiresInDays }) => ({
+      subject: `Check your ${APP_NAME} registration status`,
+      text: `Hi ${fullName},\n\nOpen the link below to see where your registration stands:\n\n${statusUrl}\n\nThis link expires in ${expiresInDays} days.`,
+      html: html`<p>Hi ${fullName},</p><p>Use the button below to see where your registration stands.</p>${button(statusUrl, 'View registration status')}<p>This link expires in ${expiresInDays} days.</p>`
+    })
+  },
+
+  password_reset: {
+    description: 'Password reset link',
+    sensitive: true,
+    sample: { fullName: 'Juan dela Cruz', resetUrl: 'https://example.com/reset-password?token=sample', expiresInMinutes: 60 },
+    render: ({ fullName, resetUrl, expiresInMinutes }) => ({
+      subject: `Reset your ${APP_NAME} password`,
+      text: `Hi ${fullName},\n\nWe received a request to reset your password. Open the link below to choose a new one:\n\n${resetUrl}\n\nThis link expires in ${expiresInMinutes} minutes and can only be used once. If you did not request a reset, you can ignore this email.`,
+      html: html`<p>Hi ${fullName},</p><p>We received a request to reset your password. Click the link below to choose a new one:</p>${button(resetUrl, 'Reset my password')}<p>This link expires in ${expiresInMinutes} minutes and can only be used once. If you did not request a reset, you can ignore this email.</p>`
+    })
+  },
+
+  subscription_expiry_reminder: {
+    description: 'Reminder that a subscription is about to expire',
+    sample: { fullName: 'Juan dela Cruz', planName: 'Premium Monthly', expiresAt: new Date('2030-01-31T00:00:00Z'), renewUrl: 'https://example.com/renew' },
+    render: ({ fullName, planName, expiresAt, renewUrl }) => ({
+      subject: `Your ${APP_NAME} subscription expires soon`,
+      text: `Hi ${fullName},\n\nYour ${planName} subscription expires on ${formatDate(expiresAt)}. Renew before then to keep your access:\n\n${renewUrl}`,
+      html: html`<p>Hi ${fullName},</p><p>Your <strong>${planName}</strong> subscription expires on <strong>${formatDate(expiresAt)}</strong>. Renew before then to keep your access.</p>${button(renewUrl, 'Renew subscription')}`
+    })
+  },
+
+  email_verification: {
+    description: 'Email address verification link',
+    sensitive: true,
+    sample: { fullName: 'Juan dela Cruz', verifyUrl: 'https://example.com/verify-email?token=sample', expiresInHours: 48 },
+    render: ({ fullName, verifyUrl, expiresInHours }) => ({
+      subject: `Verify your ${APP_NAME} email address`,
+      text: `Hi ${fullName},\n\nPlease confirm your email address by opening the link below:\n\n${verifyUrl}\n\nThis link expires in ${expiresInHours} hours.`,
+      html: html`<p>Hi ${fullName},</p><p>Please confirm your email address by clicking the link below:</p>${button(verifyUrl, 'Verify my email')}<p>This link expires in ${expiresInHours} hours.</p>`
+    })
+  },
+
+  payment_resubmit_link: {
+    description: 'Link for uploading a new payment proof',
+    sensitive: true,
+    sample: { fullName: 'Juan dela Cruz', resubmitUrl: 'https://example.com/resubmit-payment?token=sample', expiresInHours: 72 },
+    render: ({ fullName, resubmitUrl, expiresInHours }) => ({
+      subject: `Upload a new ${APP_NAME} payment proof`,
+      text: `Hi ${fullName},\n\nUse the link below to upload a new payment proof for your registration:\n\n${resubmitUrl}\n\nThis link expires in ${expiresInHours} hours.`,
+      html: html`<p>Hi ${fullName},</p><p>Use the link below to upload a new payment proof for your registration:</p>${button(resubmitUrl, 'Upload payment proof')}<p>This link expires in ${expiresInHours} hours.</p>`
+    })
+  },
+
+  login_link: {
+    description: 'Passwordless login link and code',
+    sensitive: true,
+    sample: { fullName: 'Juan dela Cruz', loginUrl: 'https://example.com/login/magic?token=sample', code: '123456', expiresInMinutes: 10 },
+    render: ({ fullName, loginUrl, code, expiresInMinutes }) => ({
+      subject: `Your ${APP_NAME} login link`,
+      text: `Hi ${fullName},\n\nUse the link below to sign in:\n\n${loginUrl}\n\nOr enter this code: ${code}\n\nThe link and code expire in ${expiresInMinutes} minutes and can only be used once. If you did not request this, you can ignore this email.`,
+      html: html`<p>Hi ${fullName},</p>${button(loginUrl, `Sign in to ${APP_NAME}`)}<p>Or enter this code: <strong>${code}</strong></p><p>The link and code expire in ${expiresInMinutes} minutes and can only be used once. If you did not request this, you can ignore this email.</p>`
+    })
+  },
+
+  email_change_current: {
+    description: 'Approval link sent to the current address when changing email',
+    sensitive: true,
+    sample: { fullName: 'Juan dela Cruz', newEmail: 'new@example.com', confirmUrl: 'https://example.com/confirm-email-change?token=sample', expiresInHours: 24 },
+    render: ({ fullName, newEmail, confirmUrl, expiresInHours }) => ({
+      subject: `Confirm your ${APP_NAME} email change`,
+      text: `Hi ${fullName},\n\nWe received a request to change your account email to ${newEmail}. Open the link below to approve it:\n\n${confirmUrl}\n\nThis link expires in ${expiresInHours} hours. If you did not request this, change your password right away.`,
+      html: html`<p>Hi ${fullName},</p><p>We received a request to change your account email to <strong>${newEmail}</strong>. Click the link below to approve it:</p>${button(confirmUrl, 'Approve email change')}<p>This link expires in ${expiresInHours} hours. If you did not request this, change your password right away.</p>`
+    })
+  },
+
+  email_change_new: {
+    description: 'Confirmation link sent to the new address when changing email',
+    sensitive: true,
+    sample: { fullName: 'Juan dela Cruz', confirmUrl: 'https://example.com/confirm-email-change?token=sample', expiresInHours: 24 },
+    render: ({ fullName, confirmUrl, expiresInHours }) => ({
+      subject: `Confirm your new ${APP_NAME} email address`,
+      text: `Hi ${fullName},\n\nPlease confirm this address for your ${APP_NAME} account by opening the link below:\n\n${confirmUrl}\n\nThis link expires in ${expiresInHours} hours.`,
+      html: html`<p>Hi ${fullName},</p><p>Please confirm this address for your ${APP_NAME} account by clicking the link below:</p>${button(confirmUrl, 'Confirm my new email')}<p>This link expires in ${expiresInHours} hours.</p>`
+    })
+  },
+
+  account_locked: {
+    description: 'Sent when an account is locked after failed logins',
+    sample: { fullName: 'Juan dela Cruz', lockUntil: new Date('2030-01-01T12:00:00Z'), resetUrl: 'https://example.com/forgot-password' },
+    render: ({ fullName, lockUntil, resetUrl }) => ({
+      subject: `Your ${APP_NAME} account has been temporarily locked`,
+      text: `Hi ${fullName},\n\nWe locked your account after several failed login attempts. You can try again after ${formatDate(lockUntil)}.\n\nIf this wasn't you, we recommend resetting your password: ${resetUrl}`,
+      html: html`<p>Hi ${fullName},</p><p>We locked your account after several failed login attempts. You can try again after <strong>${formatDate(lockUntil)}</strong>.</p><p>If this wasn't you, we recommend <a href="${resetUrl}">resetting your password</a>.</p>`
+    })
+  },
+
+  account_deletion_scheduled: {
+    description: 'Confirmation that an account deletion was requested',
+    sample: { fullName: 'Juan dela Cruz', scheduledFor: new Date('2030-01-15T00:00:00Z') },
+    render: ({ fullName, scheduledFor }) => ({
+      subject: `Your ${APP_NAME} account is scheduled for deletion`,
+      text: `Hi ${fullName},\n\nWe received a request to delete your account. It will be permanently erased on ${formatDate(scheduledFor)}.\n\nIf you change your mind, sign in and cancel the deletion before then.`,
+      html: html`<p>Hi ${fullName},</p><p>We received a request to delete your account. It will be permanently erased on <strong>${formatDate(scheduledFor)}</strong>.</p><p>If you change your mind, sign in and cancel the deletion before then.</p>`
+    })
+  }
+};
+
+export const getTemplateNames = () => Object.keys(templates);
+
+// List the templates with their descriptions (for the admin preview screen)
+export const listTemplates = () => Object.entries(templates).map(([name, template]) => ({
+  name,
+  description: template.description,
+  sensitive: Boolean(template.sensitive)
+}));
+
+// Render a template to { subject, text, html, sensitive }; uses the template's
+// sample data when none is given
+export const renderTemplate = (name, data) => {
+  const template = templates[name];
+  if (!template) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+
+  const rendered = template.render(data || template.sample);
+  return {
+    subject: rendered.subject,
+    text: rendered.text,
+    html: layout(rendered.subject, rendered.html),
+    sensitive: Boolean(template.sensitive)
+  };
+};
@@ -0,0 +1,140 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import oidcConfig from '../config/oidc.js';
+
+// Discovery documents and signing keys are cached per issuer
+const discoveryCache = new Map();
+const jwksCache = new Map();
+
+const fetchJson = async (url, options) => {
+  const response = await fetch(url, options);
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const error = new Error(`OIDC request to ${url} failed with ${response.status}: ${body.error_description || body.error || 'unknown error'}`);
+    error.status = response.status;
+    throw error;
+  }
+  return body;
+};
+
+const base64Url = (buffer) => buffer.toString('base64url');
+
+// Look up a configured provider by id
+export const getProvider = (id) => oidcConfig.providers[id];
+
+// List the configured providers (safe to show to clients)
+export const listProviders = () => {
+  return Object.values(oidcConfig.providers).map(({ id, name }) => ({ id, name }));
+};
+
+// Callback URL to register with each provider
+export const getCallbackUrl = (provider) => {
+  return `${oidcConfig.callbackBaseUrl}/api/auth/oidc/${provider.id}/callback`;
+};
+
+// Fetch the provider's OpenID configuration
+export const discover = async (provider) => {
+  if (!discoveryCache.has(provider.issuer)) {
+    const config = await fetchJson(`${provider.issuer}/.well-known/openid-configuration`);
+    discoveryCache.set(provider.issuer, config);
+  }
+  return discoveryCache.get(provider.issuer);
+};
+
+// Generate the per-login secrets: state, nonce and a PKCE verifier/challenge
+export const createLoginSecrets = () => {
+  const codeVerifier = base64Url(crypto.randomBytes(32));
+  return {
+    state: base64Url(crypto.randomBytes(24)),
+    nonce: base64Url(crypto.randomBytes(24)),
+    codeVerifier,
+    codeChallenge: base64Url(crypto.createHash('sha256').update(codeVerifier).digest())
+  };
+};
+
+// Build the URL that sends the user to the provider to sign in
+export const buildAuthorizationUrl = async (provider, { state, nonce, codeChallenge, loginHint }) => {
+  const { authorization_endpoint: authorizationEndpoint } = await discover(provider);
+
+  const url = new URL(authorizationEndpoint);
+  url.search = new URLSearchParams({
+    response_type: 'code',
+    client_id: provider.clientId,
+    redirect_uri: getCallbackUrl(provider),
+    scope: provider.scopes,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256'
+  });
+  if (loginHint) url.searchParams.set('login_hint', loginHint);
+
+  return url.toString();
+};
+
+// Exchange an authorization code for the provider's tokens
+export const exchangeCode = async (provider, { code, codeVerifier }) => {
+  const discovery = await discover(provider);
+
+  const params = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: getCallbackUrl(provider),
+    code_verifier: codeVerifier
+  });
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' };
+
+  // client_secret_basic is the default unless the provider only accepts client_secret_post
+  const authMethods = discovery.token_endpoint_auth_methods_supported || ['client_secret_basic'];
+  if (provider.clientSecret && authMethods.includes('client_secret_basic')) {
+    const credentials = `${encodeURIComponent(provider.clientId)}:${encodeURIComponent(provider.clientSecret)}`;
+    headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+  } else {
+    params.set('client_id', provider.clientId);
+    if (provider.clientSecret) params.set('client_secret', provider.clientSecret);
+  }
+
+  return fetchJson(discovery.token_endpoint, { method: 'POST', headers, body: params });
+};
+
+// Find the provider's signing key for a token, refreshing the key set once if needed
+const getSigningKey = async (provider, kid) => {
+  const { jwks_uri: jwksUri } = await discover(provider);
+
+  const findKey = (keys) => keys.find(key => (!kid || key.kid === kid) && key.use !== 'enc');
+
+  let keys = jwksCache.get(jwksUri);
+  let jwk = keys && findKey(keys);
+  if (!jwk) {
+    ({ keys } = await fetchJson(jwksUri));
+    jwksCache.set(jwksUri, keys);
+    jwk = findKey(keys);
+  }
+
+  if (!jwk) {
+    throw new Error('No matching signing key found for ID token');
+  }
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+// Verify an ID token's signature, issuer, audience, expiry and nonce; returns its claims
+export const verifyIdToken = async (provider, idToken, { nonce }) => {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded) {
+    throw new Error('ID token is malformed');
+  }
+
+  const { issuer } = await discover(provider);
+  const key = await getSigningKey(provider, decoded.header.kid);
+  const claims = jwt.verify(idToken, key, {
+    algorithms: ['RS256', 'RS384', 'RS512', 'ES256', 'ES384', 'ES512', 'PS256'],
+    issuer,
+    audience: provider.clientId
+  });
+
+  if (claims.nonce !== nonce) {
+    throw new Error('ID token nonce does not match');
+  }
+
+  return claims;
+};
@@ -0,0 +1,288 @@
+import User from '../models/User.js';
+import PaymentSubmission from '../models/PaymentSubmission.js';
+import Subscription from '../models/Subscription.js';
+import RejectionReason from '../models/RejectionReason.js';
+import AuditLog from '../models/AuditLog.js';
+import { revokeUserTokens } from '../middleware/auth.js';
+import { sendTemplateEmail, getFrontendUrl } from './email/index.js';
+
+// Approve/reject logic shared by the single and bulk registration review
+// endpoints. Problems with the request itself are thrown as errors with
+// isReviewError and an HTTP status, so routes can report them as-is.
+
+const reviewError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  error.isReviewError = true;
+  return error;
+};
+
+// Work out what the applicant is told on rejection: a predefined reason
+// (rejectionReasonId), free text (rejectionReason) or both
+export const resolveRejection = async ({ rejectionReasonId, rejectionReason }) => {
+  let predefinedReason;
+  if (rejectionReasonId) {
+    predefinedReason = await RejectionReason.findOne({ _id: rejectionReasonId, isActive: true });
+    if (!predefinedReason) {
+      throw reviewError('Rejection reason not found');
+    }
+  }
+
+  return {
+    code: predefinedReason?.code,
+    reason: [predefinedReason?.message, rejectionReason].filter(Boolean).join('\n\n') || undefined
+  };
+};
+
+// Email an applicant the outcome of their registration review. Rejections
+// include the reason and a fresh link for uploading a new payment proof.
+const sendRegistrationDecisionEmail = async (user, action, reason) => {
+  if (action === 'approve') {
+    return sendTemplateEmail('registration_approved', {
+      to: user.email,
+      userId: user._id,
+      data: { fullName: user.fullName, loginUrl: getFrontendUrl('/login') }
+    });
+  }
+
+  const resubmitToken = user.createPaymentResubmitToken();
+  await user.save();
+
+  return sendTemplateEmail('registration_rejected', {
+    to: user.email,
+    userId: user._id,
+    data: {
+      fullName: user.fullName,
+      reason,
+      resubmitUrl: getFrontendUrl(`/resubmit-payment?email=${encodeURIComponent(user.email)}&token=${resubmitToken}`)
+    }
+  });
+};
+
+// Apply an approve/reject decision to one applicant: update the account,
+// review the pending payment proof, grant a subscription on approval (or
+// cancel it on rejection), notify the applicant and write the audit entry.
+//
+// decision: { action, adminNotes, rejection (from resolveRejection), subscriptionOverrides }
+// context: { reviewer, ipAddress, userAgent, batchId }
+//
+// A registration already in the requested state is rejected with a 409 review
+// error, so repeating a request never grants a second subscription or sends a
+// second email. The exception is an approved user left without an active
+// subscription (e.g. by an earlier failure), who can be approved again to
+// repair it. Concurrent reviews of the same applicant are serialised by
+// claiming the user document before anything is written: the claim only
+// succeeds if the user is unchanged since it was loaded, so the losing review
+// gets a 409 instead of granting its own subscription.
+export const reviewRegistration = async (user, decision, context) => {
+  const { action, adminNotes, rejection = {}, subscriptionOverrides = {} } = decision;
+  const { reviewer, ipAddress, userAgent, batchId } = context;
+
+  const targetStatus = action === 'approve' ? 'approved' : 'rejected';
+  const repairing = action === 'approve' && user.registrationStatus === 'approved';
+  if (user.registrationStatus === targetStatus &&
+      (!repairing || await Subscription.exists({ userId: user._id, status: 'active' }))) {
+    throw reviewError(`Registration is already ${targetStatus}`, 409);
+  }
+
+  const oldStatus = {
+    registrationStatus: user.registrationStatus,
+    paymentStatus: user.paymentStatus,
+    subscriptionStatus: user.subscriptionStatus,
+    subscriptionTier: user.subscriptionTier
+  };
+
+  // The decision applies to the proof currently awaiting review; a repair
+  // uses the proof that was approved
+  const paymentSubmission = await PaymentSubmission.findOne({
+    userId: user._id,
+    status: repairing ? 'approved' : 'pending'
+  }).sort({ createdAt: -1 });
+
+  // Approval grants a subscription for the verified payment; the admin can
+  // override the plan, period and amount
+  let terms;
+  if (action === 'approve') {
+    terms = Subscription.buildTermsForPayment(paymentSubmission, subscriptionOverrides);
+    if (terms.currentPeriodEnd <= terms.currentPeriodStart) {
+      throw reviewError('Subscription period must end after it starts');
+    }
+  }
+
+  const claimed = await User.findOneAndUpdate(
+    { _id: user._id, registrationStatus: oldStatus.registrationStatus, updatedAt: user.updatedAt },
+    { $set: { registrationStatus: targetStatus } }
+  );
+  if (!claimed) {
+    throw reviewError('Registration was changed while it was being reviewed; reload and try again', 409);
+  }
+
+  // From here on a failure puts the user back as it was. The subscription is
+  // created before the user is marked approved, and removed again if that
+  // fails, so an approved user always has one. The user is written only here
+  // (not by the subscription's save hook).
+  let subscription = null;
+  let cancelledSubscriptions = 0;
+  try {
+    if (action === 'approve') {
+      const { tier, ...subscriptionTerms } = terms;
+      subscription = new Subscription({
+        userId: user._id,
+        ...subscriptionTerms,
+        status: 'active',
+        paymentSubmissionId: paymentSubmission?._id,
+        createdBy: reviewer._id,
+        metadata: { createdVia: 'registration_approval' }
+      });
+      subscription.$locals.skipUserSync = true;
+      try {
+        await subscription.save();
+      } catch (error) {
+        subscription = null;
+        // The unique index on paymentSubmissionId means another review
+        // already granted a subscription for this payment
+        if (error.code === 11000) {
+          throw reviewError('A subscription has already been granted for this payment', 409);
+        }
+        throw error;
+      }
+
+      user.registrationStatus = 'approved';
+      user.paymentStatus = 'verified';
+      user.paymentVerificationDate = new Date();
+      user.subscriptionStatus = 'active';
+      user.subscriptionTier = tier;
+      user.isEmailVerified = true;
+    } else {
+      user.registrationStatus = 'rejected';
+      user.paymentStatus = 'rejected';
+      if (user.subscriptionStatus === 'active') {
+        user.subscriptionStatus = 'cancelled';
+      }
+      user.subscriptionTier = 'free';
+    }
+
+    if (adminNotes) {
+      user.adminNotes = adminNotes;
+    }
+
+    await user.save();
+  } catch (error) {
+    if (subscription) {
+      await Subscription.deleteOne({ _id: subscription._id });
+    }
+    await User.updateOne({ _id: user._id }, { $set: oldStatus });
+    throw error;
+  }
+
+  if (action === 'reject') {
+    // Rejecting a previously approved registration also ends its access
+    const result = await Subscription.updateMany(
+      { userId: user._id, status: 'active' },
+      { status: 'cancelled', cancelledAt: new Date(), cancelAtPeriodEnd: false }
+    );
+    cancelledSubscriptions = result.modifiedCount;
+  }
+
+  if (paymentSubmission?.status === 'pending') {
+    paymentSubmission.review(targetStatus, reviewer._id, adminNotes, rejection);
+    await paymentSubmission.save();
+  }
+
+  if (action === 'reject') {
+    await revokeUserTokens(user._id, 'registration_rejected');
+  }
+
+  let notification = null;
+  try {
+    notification = await sendRegistrationDecisionEmail(user, action, rejection.reason);
+  } catch (emailError) {
+    console.error('Registration decision email error:', emailError);
+  }
+
+  // Log registration status change
+  await AuditLog.logEvent({
+    userId: reviewer._id,
+    action: `registration_${action}d`,
+    resourceType: 'user',
+    resourceId: user._id.toString(),
+    details: {
+      targetUserEmail: user.email,
+      targetUserName: user.fullName,
+      oldStatus,
+      newStatus: {
+        registrationStatus: user.registrationStatus,
+        paymentStatus: user.paymentStatus,
+        subscriptionStatus: user.subscriptionStatus,
+        subscriptionTier: user.subscriptionTier
+      },
+      adminNotes,
+      rejectionReason: rejection.reason,
+      rejectionReasonCode: rejection.code,
+      paymentSubmissionId: paymentSubmission?._id,
+      subscription: subscription && {
+        id: subscription._id,
+        planId: subscription.planId,
+        amount: subscription.amount,
+        currency: subscription.currency,
+        currentPeriodStart: subscription.currentPeriodStart,
+        currentPeriodEnd: subscription.currentPeriodEnd
+      },
+      cancelledSubscriptions,
+      repaired: repairing || undefined,
+      notification: notification && { messageId: notification._id, status: notification.status },
+      batchId,
+      processedBy: reviewer.email
+    },
+    ipAddress,
+    userAgent,
+    severity: 'high'
+  });
+
+  return { user, paymentSubmission, subscription, notification };
+};
+
+// Apply the same decision to many applicants, one at a time, reporting the
+// outcome for each. One applicant failing does not stop the rest.
+export const reviewRegistrations = async (userIds, decision, context) => {
+  const uniqueIds = [...new Set(userIds.map(String))];
+  const users = await User.find({ _id: { $in: uniqueIds } });
+  const usersById = new Map(users.map(user => [user._id.toString(), user]));
+
+  const results = [];
+  for (const userId of uniqueIds) {
+    const user = usersById.get(userId);
+    if (!user) {
+      results.push({ userId, status: 'failed', message: 'User not found' });
+      continue;
+    }
+
+    try {
+      const { paymentSubmission, subscription, notification } = await reviewRegistration(user, decision, context);
+      results.push({
+        userId,
+        email: user.email,
+        status: decision.action === 'approve' ? 'approved' : 'rejected',
+        paymentSubmissionId: paymentSubmission?._id,
+        subscriptionId: subscription?._id,
+        notificationStatus: notification?.status
+      });
+    } catch (error) {
+      if (error.isReviewError && error.status === 409) {
+        results.push({ userId, email: user.email, status: 'skipped', message: error.message });
+      } else {
+        if (!error.isReviewError) {
+          console.error(`Bulk registration review failed for user ${userId}:`, error);
+        }
+        results.push({
+          userId,
+          email: user.email,
+          status: 'failed',
+          message: error.isReviewError ? error.message : 'Failed to update registration status'
+        });
+      }
+    }
+  }
+
+  return results;
+};
@@ -0,0 +1,10 @@
+// Development SMS driver: logs the recipient of each message instead of
+// sending it. The body is never logged, since it carries verification codes;
+// use the file driver to read messages locally.
+export const createConsoleProvider = () => ({
+  name: 'console',
+  async send({ to }) {
+    console.log(`📱 SMS to ${to} (not sent: console SMS provider)`);
+    return { id: `console-${Date.now()}` };
+  }
+});
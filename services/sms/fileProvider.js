@@ -0,0 +1,16 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// Development/test SMS driver: appends each message as a JSON line to a file
+// so scripts and tests can read back the codes that were "sent"
+export const createFileProvider = ({ filePath }) => ({
+  name: 'file',
+  async send({ to, body }) {
+    const message = { id: `file-${Date.now()}`, to, body, sentAt: new Date().toISOString() };
+
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.appendFile(filePath, `${JSON.stringify(message)}\n`);
+
+    return { id: message.id };
+  }
+});
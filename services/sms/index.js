@@ -0,0 +1,47 @@
+import dotenv from 'dotenv';
+import { createConsoleProvider } from './consoleProvider.js';
+import { createFileProvider } from './fileProvider.js';
+
+dotenv.config();
+
+// SMS drivers by name. A driver is a factory returning { name, send({ to, body }) };
+// real gateways can be added here or registered at startup.
+const providers = {
+  console: () => createConsoleProvider(),
+  file: () => createFileProvider({ filePath: process.env.SMS_FILE_PATH || 'tmp/sms-outbox.jsonl' })
+};
+
+let provider;
+
+// Register an additional SMS driver (takes effect if SMS_PROVIDER selects it)
+export const registerSmsProvider = (name, factory) => {
+  providers[name] = factory;
+  provider = undefined;
+};
+
+// Configured provider name. The console is the default outside production;
+// production has no fallback, so a missing gateway fails loudly instead of
+// silently dropping verification codes.
+export const getSmsProviderName = () => {
+  return process.env.SMS_PROVIDER || (process.env.NODE_ENV === 'production' ? undefined : 'console');
+};
+
+const getProvider = () => {
+  if (!provider) {
+    const name = getSmsProviderName();
+    if (!name) {
+      throw new Error('No SMS provider configured (set SMS_PROVIDER)');
+    }
+    const factory = providers[name];
+    if (!factory) {
+      throw new Error(`Unknown SMS provider: ${name}`);
+    }
+    provider = factory();
+  }
+  return provider;
+};
+
+// Send a text message through the configured provider
+export const sendSms = async ({ to, body }) => {
+  return getProvider().send({ to, body });
+};
@@ -0,0 +1,59 @@
+import cloudinary, { isCloudinaryConfigured } from '../../config/cloudinary.js';
+
+// Stores images on Cloudinary, resized the same way the original
+// multer-storage-cloudinary setup did. Keys are "<delivery type>/<public ID>.<format>",
+// where private files use the 'authenticated' type and can only be fetched
+// through expiring download links.
+export const createCloudinaryDriver = ({ rootFolder = 'rx-magazine' } = {}) => {
+  if (!isCloudinaryConfigured()) {
+    throw new Error('Cloudinary storage requires CLOUDINARY_CLOUD_NAME, CLOUDINARY_API_KEY and CLOUDINARY_API_SECRET');
+  }
+
+  const parseKey = (key) => {
+    const match = key.match(/^(upload|authenticated)\/(.+)\.([^/.]+)$/);
+    if (!match) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return { type: match[1], publicId: match[2], format: match[3] };
+  };
+
+  return {
+    name: 'cloudinary',
+    save({ buffer, key, visibility }) {
+      const type = visibility === 'private' ? 'authenticated' : 'upload';
+      // Cloudinary adds the file extension itself
+      const publicId = `${rootFolder}/${key.replace(/\.[^/.]+$/, '')}`;
+
+      return new Promise((resolve, reject) => {
+        const stream = cloudinary.uploader.upload_stream({
+          public_id: publicId,
+          type,
+          allowed_formats: ['jpg', 'jpeg', 'png', 'gif', 'webp'],
+          transformation: [
+            { width: 800, height: 600, crop: 'limit' },
+            { quality: 'auto' }
+          ]
+        }, (error, result) => {
+          if (error) return reject(error);
+          resolve({
+            key: `${type}/${result.public_id}.${result.format}`,
+            url: type === 'upload' ? result.secure_url : undefined
+          });
+        });
+
+        stream.end(buffer);
+      });
+    },
+    async remove(key) {
+      const { type, publicId } = parseKey(key);
+      await cloudinary.uploader.destroy(publicId, { type });
+    },
+    async getSignedUrl(key, { expiresIn }) {
+      const { type, publicId, format } = parseKey(key);
+      return cloudinary.utils.private_download_url(publicId, format, {
+        type,
+        expires_at: Math.floor(Date.now() / 1000) + expiresIn
+      });
+    }
+  };
+};
@@ -0,0 +1,80 @@
+import crypto from 'crypto';
+import storageConfig from '../../config/storage.js';
+import { createLocalDriver } from './localDriver.js';
+import { createS3Driver } from './s3Driver.js';
+import { createCloudinaryDriver } from './cloudinaryDriver.js';
+
+// Storage drivers by name. A driver is a factory returning
+// { name, save({ buffer, key, mimeType, visibility }) -> { key, url },
+//   remove(key), getSignedUrl(key, { expiresIn }) };
+// other backends can be registered at startup.
+const drivers = {
+  local: () => createLocalDriver(storageConfig.local),
+  s3: () => createS3Driver(storageConfig.s3),
+  cloudinary: () => createCloudinaryDriver()
+};
+
+// File extensions by MIME type; anything else is stored without one so it
+// is never served back as something executable
+const EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/gif': '.gif',
+  'image/webp': '.webp'
+};
+
+const instances = new Map();
+
+// Register an additional storage driver (takes effect if STORAGE_DRIVER selects it)
+export const registerStorageDriver = (name, factory) => {
+  drivers[name] = factory;
+  instances.delete(name);
+};
+
+// Get the configured driver, or a specific one by name for files saved before
+// the configuration changed
+export const getStorageDriver = (name = storageConfig.driver) => {
+  if (!name) {
+    throw new Error('No storage driver configured (set STORAGE_DRIVER)');
+  }
+  if (!instances.has(name)) {
+    const factory = drivers[name];
+    if (!factory) {
+      throw new Error(`Unknown storage driver: ${name}`);
+    }
+    instances.set(name, factory());
+  }
+  return instances.get(name);
+};
+
+// Store a file and return the descriptor routes work with:
+// { url, key, driver, visibility, size, mimeType, originalName }.
+// Private files have no url; use getSignedFileUrl to hand out a temporary one.
+export const saveFile = async ({ buffer, originalName, mimeType, folder, visibility = 'public' }) => {
+  const storage = getStorageDriver();
+  const extension = EXTENSIONS[mimeType] || '';
+  const key = `${folder}/${Date.now()}-${crypto.randomBytes(8).toString('hex')}${extension}`;
+
+  const saved = await storage.save({ buffer, key, mimeType, visibility });
+
+  return {
+    url: saved.url,
+    key: saved.key,
+    driver: storage.name,
+    visibility,
+    size: buffer.length,
+    mimeType,
+    originalName
+  };
+};
+
+// Delete a stored file by its key
+export const removeFile = async (key, driverName) => {
+  return getStorageDriver(driverName).remove(key);
+};
+
+// Create a short-lived link to a private file; returns { url, expiresAt }
+export const getSignedFileUrl = async (key, driverName, expiresIn = storageConfig.signedUrlTtlSeconds) => {
+  const url = await getStorageDriver(driverName).getSignedUrl(key, { expiresIn });
+  return { url, expiresAt: new Date(Date.now() + expiresIn * 1000) };
+};
@@ -0,0 +1,66 @@
+import fs from 'fs';
+import path from 'path';
+import jwt from 'jsonwebtoken';
+
+const PRIVATE_PREFIX = 'private/';
+
+// Stores files on this server's disk. Public files go in the upload directory,
+// which server.js serves under the public base URL. Private files (keys under
+// private/) go in a separate directory and are only reachable through
+// short-lived signed links to the API.
+export const createLocalDriver = ({ directory, publicBaseUrl, privateDirectory, signedBaseUrl, signingSecret }) => {
+  const publicRoot = path.resolve(directory);
+  const privateRoot = path.resolve(privateDirectory);
+
+  const resolveKey = (key) => {
+    const isPrivate = key.startsWith(PRIVATE_PREFIX);
+    const root = isPrivate ? privateRoot : publicRoot;
+    const filePath = path.resolve(root, isPrivate ? key.slice(PRIVATE_PREFIX.length) : key);
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+    directory: publicRoot,
+    async save({ buffer, key, visibility }) {
+      const storedKey = visibility === 'private' ? `${PRIVATE_PREFIX}${key}` : key;
+      const filePath = resolveKey(storedKey);
+
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+
+      return {
+        key: storedKey,
+        url: visibility === 'private' ? undefined : `${publicBaseUrl.replace(/\/$/, '')}/${key}`
+      };
+    },
+    async remove(key) {
+      await fs.promises.rm(resolveKey(key), { force: true });
+    },
+    async getSignedUrl(key, { expiresIn }) {
+      if (!signingSecret) {
+        throw new Error('Local signed links require STORAGE_SIGNING_SECRET or JWT_SECRET');
+      }
+      const token = jwt.sign({ key, purpose: 'file_download' }, signingSecret, { expiresIn });
+      return `${signedBaseUrl.replace(/\/$/, '')}/${token}`;
+    },
+    // Check a token from a signed link; returns the file key, or null if the
+    // link is invalid or has expired
+    verifySignedToken(token) {
+      try {
+        const decoded = jwt.verify(token, signingSecret);
+        return decoded.purpose === 'file_download' ? decoded.key : null;
+      } catch {
+        return null;
+      }
+    },
+    async createReadStream(key) {
+      const filePath = resolveKey(key);
+      await fs.promises.access(filePath);
+      return fs.createReadStream(filePath);
+    }
+  };
+};
@@ -0,0 +1,53 @@
+import { S3Client, PutObjectCommand, DeleteObjectCommand, GetObjectCommand } from '@aws-sdk/client-s3';
+import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
+
+// Stores files in an S3-compatible bucket. Private files are kept under the
+// private/ prefix and handed out through presigned URLs.
+export const createS3Driver = ({ bucket, region, endpoint, forcePathStyle, accessKeyId, secretAccessKey, publicBaseUrl }) => {
+  if (!bucket) {
+    throw new Error('S3 storage requires S3_BUCKET');
+  }
+
+  const client = new S3Client({
+    region,
+    endpoint,
+    forcePathStyle,
+    credentials: accessKeyId && secretAccessKey ? { accessKeyId, secretAccessKey } : undefined
+  });
+
+  let baseUrl = publicBaseUrl;
+  if (!baseUrl) {
+    if (endpoint) {
+      baseUrl = `${endpoint.replace(/\/$/, '')}/${bucket}`;
+    } else {
+      baseUrl = `https://${bucket}.s3.${region}.amazonaws.com`;
+    }
+  }
+
+  return {
+    name: 's3',
+    client,
+    bucket,
+    async save({ buffer, key, mimeType, visibility }) {
+      const storedKey = visibility === 'private' ? `private/${key}` : key;
+
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: storedKey,
+        Body: buffer,
+        ContentType: mimeType
+      }));
+
+      return {
+        key: storedKey,
+        url: visibility === 'private' ? undefined : `${baseUrl.replace(/\/$/, '')}/${storedKey}`
+      };
+    },
+    async remove(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+    async getSignedUrl(key, { expiresIn }) {
+      return getSignedUrl(client, new GetObjectCommand({ Bucket: bucket, Key: key }), { expiresIn });
+    }
+  };
+};
@@ -0,0 +1,38 @@
+// Turn a User-Agent header into a short label such as "Chrome on Windows"
+
+const BROWSERS = [
+  ['Edge', /Edg(e|A|iOS)?\//],
+  ['Opera', /OPR\/|Opera/],
+  ['Samsung Internet', /SamsungBrowser\//],
+  ['Chrome', /Chrome\/|CriOS\//],
+  ['Firefox', /Firefox\/|FxiOS\//],
+  ['Safari', /Safari\//]
+];
+
+const OPERATING_SYSTEMS = [
+  ['iPhone', /iPhone/],
+  ['iPad', /iPad/],
+  ['Android', /Android/],
+  ['Windows', /Windows/],
+  ['macOS', /Mac OS X|Macintosh/],
+  ['ChromeOS', /CrOS/],
+  ['Linux', /Linux/]
+];
+
+const findMatch = (userAgent, candidates) => {
+  const match = candidates.find(([, pattern]) => pattern.test(userAgent));
+  return match ? match[0] : null;
+};
+
+export const describeDevice = (userAgent) => {
+  if (!userAgent) return 'Unknown device';
+
+  const browser = findMatch(userAgent, BROWSERS);
+  const os = findMatch(userAgent, OPERATING_SYSTEMS);
+
+  if (browser && os) return `${browser} on ${os}`;
+  if (browser || os) return browser || os;
+
+  // API clients and scripts, e.g. "okhttp/4.9.0" or "PostmanRuntime/7.36.0"
+  return userAgent.split(/[\s/]/)[0] || 'Unknown device';
+};
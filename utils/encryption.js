@@ -0,0 +1,36 @@
+import crypto from 'crypto';
+
+// AES-256-GCM encryption for secrets that must be stored in a usable form
+// (such as TOTP secrets). Values are stored as "enc:v1:<iv>:<tag>:<data>".
+
+const PREFIX = 'enc:v1:';
+
+const deriveKey = (secret) => {
+  return crypto.createHash('sha256').update(String(secret)).digest();
+};
+
+// Whether a stored value was produced by encryptSecret
+export const isEncrypted = (value) => {
+  return typeof value === 'string' && value.startsWith(PREFIX);
+};
+
+export const encryptSecret = (plaintext, secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', deriveKey(secret), iv);
+  const data = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+  const tag = cipher.getAuthTag();
+
+  return `${PREFIX}${[iv, tag, data].map(part => part.toString('base64')).join(':')}`;
+};
+
+// Decrypt a value from encryptSecret. Values stored before encryption was
+// introduced are returned unchanged.
+export const decryptSecret = (value, secret) => {
+  if (!isEncrypted(value)) return value;
+
+  const [iv, tag, data] = value.slice(PREFIX.length).split(':').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', deriveKey(secret), iv);
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8');
+};
@@ -0,0 +1,54 @@
+import crypto from 'crypto';
+import sharp from 'sharp';
+
+// SHA-256 of the exact file bytes: identical uploads produce identical hashes
+export const getContentHash = (buffer) => {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+};
+
+// 64-bit difference hash (dHash) as 16 hex characters. Visually similar images
+// (re-saved, resized or recompressed screenshots) produce hashes that differ in
+// only a few bits.
+export const getPerceptualHash = async (buffer) => {
+  const pixels = await sharp(buffer)
+    .rotate()
+    .grayscale()
+    .resize(9, 8, { fit: 'fill' })
+    .raw()
+    .toBuffer();
+
+  let hash = 0n;
+  for (let row = 0; row < 8; row++) {
+    for (let col = 0; col < 8; col++) {
+      const left = pixels[row * 9 + col];
+      const right = pixels[row * 9 + col + 1];
+      hash = (hash << 1n) | (left > right ? 1n : 0n);
+    }
+  }
+
+  return hash.toString(16).padStart(16, '0');
+};
+
+// Number of differing bits between two perceptual hashes
+export const getHashDistance = (a, b) => {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let distance = 0;
+  while (diff) {
+    distance += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return distance;
+};
+
+// Fingerprint an image; the perceptual hash is left out if the image can't be decoded
+export const fingerprintImage = async (buffer) => {
+  const fingerprint = { contentHash: getContentHash(buffer) };
+
+  try {
+    fingerprint.perceptualHash = await getPerceptualHash(buffer);
+  } catch (error) {
+    console.error('Perceptual hash error:', error.message);
+  }
+
+  return fingerprint;
+};
@@ -0,0 +1,99 @@
+import fs from 'fs';
+import bcrypt from 'bcryptjs';
+import commonPasswordList from 'fxa-common-password-list';
+import authConfig from '../config/auth.js';
+
+const COMMON_PASSWORDS_PATH = new URL('../data/common-passwords.txt', import.meta.url);
+
+let commonPasswords;
+
+// Load the site-specific additions to the common-passwords list once, on first use
+const getCommonPasswords = () => {
+  if (!commonPasswords) {
+    commonPasswords = new Set(
+      fs.readFileSync(COMMON_PASSWORDS_PATH, 'utf8')
+        .split('\n')
+        .map(line => line.trim().toLowerCase())
+        .filter(line => line && !line.startsWith('#'))
+    );
+  }
+  return commonPasswords;
+};
+
+// Whether a password appears in Mozilla's list of breached and commonly used
+// passwords (the one Firefox Accounts uses) or in our own additions
+const isCommonPassword = (password) => {
+  const normalized = password.toLowerCase();
+  return commonPasswordList.test(password) ||
+    commonPasswordList.test(normalized) ||
+    getCommonPasswords().has(normalized);
+};
+
+// Check a candidate password against the configured policy.
+// Returns a list of human-readable problems (empty when the password is acceptable).
+export const checkPasswordStrength = (password, policy = authConfig.passwordPolicy) => {
+  if (typeof password !== 'string' || !password) {
+    return ['Password is required'];
+  }
+
+  const errors = [];
+
+  if (password.length < policy.minLength) {
+    errors.push(`Password must be at least ${policy.minLength} characters long`);
+  }
+  if (policy.requireLowercase && !/[a-z]/.test(password)) {
+    errors.push('Password must contain a lowercase letter');
+  }
+  if (policy.requireUppercase && !/[A-Z]/.test(password)) {
+    errors.push('Password must contain an uppercase letter');
+  }
+  if (policy.requireNumber && !/\d/.test(password)) {
+    errors.push('Password must contain a number');
+  }
+  if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(password)) {
+    errors.push('Password must contain a symbol');
+  }
+  if (policy.blockCommonPasswords && isCommonPassword(password)) {
+    errors.push('This password is too common. Please choose a different one');
+  }
+
+  return errors;
+};
+
+// Check whether a user has used this password recently. The user document must
+// be loaded with its password and passwordHistory.
+export const isPasswordReused = async (user, password, policy = authConfig.passwordPolicy) => {
+  if (policy.historySize <= 0) return false;
+
+  const recentHashes = [
+    user.password,
+    ...(user.passwordHistory || []).map(entry => entry.hash)
+  ].filter(Boolean).slice(0, policy.historySize);
+
+  for (const hash of recentHashes) {
+    if (await bcrypt.compare(password, hash)) {
+      return true;
+    }
+  }
+  return false;
+};
+
+// Check a new password for an existing user: strength plus reuse.
+// Returns a list of problems like checkPasswordStrength.
+export const checkNewPassword = async (user, password, policy = authConfig.passwordPolicy) => {
+  const errors = checkPasswordStrength(password, policy);
+  if (errors.length === 0 && await isPasswordReused(user, password, policy)) {
+    errors.push(`Password must be different from your last ${policy.historySize} passwords`);
+  }
+  return errors;
+};
+
+// Check whether an admin's password is older than the configured maximum age
+export const isAdminPasswordExpired = (user, policy = authConfig.passwordPolicy) => {
+  if (!policy.adminMaxAgeDays) return false;
+
+  const changedAt = user.passwordChangedAt || user.createdAt;
+  if (!changedAt) return false;
+
+  return Date.now() - changedAt > policy.adminMaxAgeDays * 24 * 60 * 60 * 1000;
+};
@@ -0,0 +1,25 @@
+import authConfig from '../config/auth.js';
+
+const E164_PATTERN = /^\+[1-9]\d{7,14}$/;
+
+// Normalize a phone number to E.164 (e.g. "+639171234567").
+// Numbers without an international prefix are read as local numbers in the
+// configured default country; returns null if the number can't be normalized.
+export const normalizePhoneNumber = (input, defaultCountryCode = authConfig.mobileVerification.defaultCountryCode) => {
+  if (typeof input !== 'string') return null;
+
+  let number = input.trim().replace(/[\s().-]/g, '');
+
+  if (number.startsWith('+')) {
+    number = `+${number.slice(1)}`;
+  } else if (number.startsWith('00')) {
+    number = `+${number.slice(2)}`;
+  } else if (defaultCountryCode) {
+    // Drop the national trunk prefix before adding the country code
+    number = `+${defaultCountryCode}${number.replace(/^0/, '')}`;
+  } else {
+    return null;
+  }
+
+  return E164_PATTERN.test(number) ? number : null;
+};
@@ -0,0 +1,16 @@
+import crypto from 'crypto';
+
+// Generate a random URL-safe token to hand out in links and emails
+export const generateSecureToken = (bytes = 32) => {
+  return crypto.randomBytes(bytes).toString('hex');
+};
+
+// Hash a token before storing it so a database leak does not expose usable tokens
+export const hashToken = (token) => {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+// Generate a zero-padded numeric code (e.g. for codes typed in from an email or SMS)
+export const generateNumericCode = (digits = 6) => {
+  return crypto.randomInt(0, 10 ** digits).toString().padStart(digits, '0');
+};